@@ -0,0 +1,123 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const config = require('../utils/config');
+const { parseHtpasswd, formatHtpasswd } = require('../utils/htpasswd');
+const session = require('./session');
+const { execCommand, readRemoteText, writeRemoteText } = require('./remote');
+
+/**
+ * Download authentication (HTTP basic auth in nginx)
+ *
+ * Users live in an htpasswd file on the server, which nginx re-reads on
+ * every request. Turning authentication on or off edits the auth_basic
+ * lines in the site configuration and only takes effect after a reload.
+ */
+
+// Matches the auth_basic lines in the site config, commented out or not
+const AUTH_LINE_PATTERN = /^(\s*)(#\s*)?(auth_basic(?:_user_file)?)\s+(.*)$/gm;
+
+/**
+ * Users in the htpasswd file
+ * @returns {Promise<object[]>} [{ username, hash }]
+ */
+async function getUsers() {
+  return session.withClient(async (sftp) => {
+    const content = await readRemoteText(sftp, config.getConfig('HTPASSWD_PATH'));
+    return content === null ? [] : parseHtpasswd(content);
+  });
+}
+
+/**
+ * Replace every user in the htpasswd file
+ * @param {object[]} users - [{ username, hash }]
+ */
+async function saveUsers(users) {
+  return session.withClient(async (sftp) => {
+    await writeRemoteText(sftp, config.getConfig('HTPASSWD_PATH'), formatHtpasswd(users), 0o644);
+  });
+}
+
+/**
+ * Whether the nginx site currently requires a password
+ */
+async function isAuthEnabled() {
+  return session.withClient(async (sftp) => {
+    const nginxConf = config.getConfig('NGINX_CONF_PATH');
+    const content = await readRemoteText(sftp, nginxConf);
+
+    if (content === null) {
+      throw new Error(`nginx configuration not found on server: ${nginxConf}`);
+    }
+
+    return /^\s*auth_basic\s/m.test(content);
+  });
+}
+
+/**
+ * Comment or uncomment the auth_basic lines in the nginx site config
+ * auth_basic_user_file is pointed at HTPASSWD_PATH
+ * @param {boolean} enabled - Whether a password should be required
+ * @returns {Promise<boolean>} true when the file changed
+ */
+async function setAuthEnabled(enabled) {
+  return session.withClient(async (sftp) => {
+    const nginxConf = config.getConfig('NGINX_CONF_PATH');
+    const content = await readRemoteText(sftp, nginxConf);
+
+    if (content === null) {
+      throw new Error(`nginx configuration not found on server: ${nginxConf}`);
+    }
+
+    if (!content.match(AUTH_LINE_PATTERN)) {
+      throw new Error(`No auth_basic lines found in ${nginxConf} (see server/nginx/fileshare.conf)`);
+    }
+
+    const updated = content.replace(AUTH_LINE_PATTERN, (match, indent, comment, directive, value) => {
+      const line = directive === 'auth_basic_user_file'
+        ? `${directive} ${config.getConfig('HTPASSWD_PATH')};`
+        : `${directive} ${value}`;
+      return enabled ? `${indent}${line}` : `${indent}# ${line}`;
+    });
+
+    if (updated === content) {
+      return false;
+    }
+
+    const stat = await sftp.stat(nginxConf);
+    await writeRemoteText(sftp, nginxConf, updated, stat.mode & 0o777);
+    return true;
+  });
+}
+
+/**
+ * Test the nginx configuration and reload it
+ * @returns {Promise<{success: boolean, output: string}>}
+ */
+async function reloadNginx() {
+  return session.withClient(async (sftp) => {
+    const { stdout, stderr, code } = await execCommand(sftp, config.getConfig('NGINX_RELOAD_COMMAND'));
+    return { success: code === 0, output: (stderr || stdout).trim() };
+  });
+}
+
+module.exports = {
+  getUsers,
+  saveUsers,
+  isAuthEnabled,
+  setAuthEnabled,
+  reloadNginx
+};
@@ -0,0 +1,101 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { execCommand, shellQuote } = require('./remote');
+
+// Name of the checksum file written into uploaded folders
+const CHECKSUM_FILENAME = 'SHA256SUMS';
+
+/**
+ * Feed the first `length` bytes of a local file into a new SHA-256 hash
+ * The hash is returned undigested so a caller can keep updating it
+ * @returns {Promise<crypto.Hash>}
+ */
+function hashLocalPrefix(localPath, length) {
+  const hash = crypto.createHash('sha256');
+
+  if (length === 0) {
+    return Promise.resolve(hash);
+  }
+
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(localPath, { start: 0, end: length - 1 })
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash))
+      .on('error', reject);
+  });
+}
+
+/**
+ * SHA-256 of a remote file (or its first `length` bytes)
+ * Hashes on the server over an exec channel, falling back to reading the
+ * bytes back over SFTP when the server does not allow commands
+ * @param {object} sftp - Connected SFTP client
+ * @param {string} remotePath - Absolute remote path
+ * @param {number} length - Bytes to hash (whole file when omitted)
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashRemoteFile(sftp, remotePath, length = null) {
+  const command = length === null
+    ? `sha256sum -- ${shellQuote(remotePath)}`
+    : `head -c ${length} -- ${shellQuote(remotePath)} | sha256sum`;
+
+  try {
+    const { stdout, code } = await execCommand(sftp, command);
+    const match = stdout.match(/^([0-9a-f]{64})\b/);
+    if (code === 0 && match) {
+      return match[1];
+    }
+  } catch (error) {
+    // Fall through to reading the file back
+  }
+
+  const hash = crypto.createHash('sha256');
+
+  if (length === 0) {
+    return hash.digest('hex');
+  }
+
+  const range = length === null ? {} : { start: 0, end: length - 1 };
+
+  return new Promise((resolve, reject) => {
+    sftp.createReadStream(remotePath, range)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Build SHA256SUMS content in the format read by "sha256sum -c"
+ * @param {object[]} entries - [{ relativePath, sha256 }]
+ */
+function formatChecksumFile(entries) {
+  return entries
+    .slice()
+    .sort((a, b) => a.relativePath.localeCompare(b.relativePath))
+    .map(entry => `${entry.sha256}  ${entry.relativePath}`)
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  hashLocalPrefix,
+  hashRemoteFile,
+  formatChecksumFile,
+  CHECKSUM_FILENAME
+};
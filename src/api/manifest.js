@@ -0,0 +1,221 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const config = require('../utils/config');
+const session = require('./session');
+const { readRemoteText, writeRemoteText } = require('./remote');
+
+/**
+ * Server-side metadata about uploaded items
+ *
+ * Stored as JSON next to SERVER_DIRECTORY (e.g. /root/.fileshare-manifest.json
+ * for /root/fileshare), outside the directory nginx serves, so every client
+ * sees the same expiry times. Items are keyed by their path relative to
+ * SERVER_DIRECTORY.
+ */
+
+const MANIFEST_VERSION = 1;
+
+// How long to wait for another client's change, and when its lock is abandoned
+const LOCK_TIMEOUT_MS = 15000;
+const LOCK_STALE_MS = 60000;
+const LOCK_RETRY_MS = 200;
+
+/**
+ * Absolute path of the manifest file on the server
+ */
+function getManifestPath() {
+  const serverDir = config.getConfig('SERVER_DIRECTORY').replace(/\/+$/, '');
+  return path.posix.join(path.posix.dirname(serverDir), `.${path.posix.basename(serverDir)}-manifest.json`);
+}
+
+/**
+ * Read the manifest (empty when it does not exist yet)
+ */
+async function readManifest(sftp) {
+  const content = await readRemoteText(sftp, getManifestPath());
+  const manifest = content ? JSON.parse(content) : {};
+
+  return { version: MANIFEST_VERSION, items: {}, ...manifest };
+}
+
+/**
+ * Apply a change to the manifest, writing it back only when it changed
+ * Holds a lock while reading and writing, so changes from clients working
+ * at the same time are applied one after another instead of overwriting
+ * each other
+ * @param {function} mutate - (items) => void, edits the items in place
+ */
+async function updateManifest(mutate) {
+  return session.withClient(async (sftp) => {
+    const lockPath = `${getManifestPath()}.lock`;
+    await acquireLock(sftp, lockPath);
+
+    try {
+      const manifest = await readManifest(sftp);
+      const before = JSON.stringify(manifest.items);
+
+      mutate(manifest.items);
+
+      if (JSON.stringify(manifest.items) !== before) {
+        await writeRemoteText(sftp, getManifestPath(), JSON.stringify(manifest, null, 2) + '\n', 0o600);
+      }
+    } finally {
+      await sftp.rmdir(lockPath).catch(() => {});
+    }
+  });
+}
+
+/**
+ * Take the manifest lock: a directory, since creating one either succeeds
+ * or fails atomically on the server
+ * A lock older than LOCK_STALE_MS was left by a client that stopped
+ * mid-change and is removed
+ */
+async function acquireLock(sftp, lockPath) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  while (true) {
+    try {
+      // The raw SFTP call: the client's mkdir succeeds when the folder already exists
+      await new Promise((resolve, reject) => {
+        sftp.sftp.mkdir(lockPath, error => (error ? reject(error) : resolve()));
+      });
+      return;
+    } catch (error) {
+      const stat = await sftp.stat(lockPath).catch(() => null);
+
+      if (!stat) {
+        // Released meanwhile, or the folder cannot be created at all
+        if (Date.now() > deadline) throw error;
+      } else if (Date.now() - stat.modifyTime > LOCK_STALE_MS) {
+        await sftp.rmdir(lockPath).catch(() => {});
+        continue;
+      } else if (Date.now() > deadline) {
+        throw new Error(`The server manifest is being changed by another client (lock: ${lockPath})`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+}
+
+/**
+ * Check whether a manifest key is the given path or inside it
+ */
+function isWithin(key, relativePath) {
+  return key === relativePath || key.startsWith(`${relativePath}/`);
+}
+
+/**
+ * Expiry times of every item that has one
+ * @returns {Promise<object>} { [relativePath]: ISO date string }
+ */
+async function getExpiries() {
+  return session.withClient(async (sftp) => {
+    const { items } = await readManifest(sftp);
+    const expiries = {};
+
+    Object.entries(items).forEach(([key, entry]) => {
+      if (entry.expiresAt) {
+        expiries[key] = entry.expiresAt;
+      }
+    });
+
+    return expiries;
+  });
+}
+
+/**
+ * Every manifest entry
+ * @returns {Promise<object>} { [relativePath]: { expiresAt, uploadedAt } }
+ */
+async function getEntries() {
+  return session.withClient(async (sftp) => (await readManifest(sftp)).items);
+}
+
+/**
+ * Add entries, e.g. those saved with an item restored from the trash
+ * @param {object} entries - { [relativePath]: entry } as from getEntries
+ */
+async function addEntries(entries) {
+  return updateManifest((items) => {
+    Object.assign(items, entries);
+  });
+}
+
+/**
+ * Record (or clear) when an uploaded item expires
+ * @param {string} relativePath - Item path relative to SERVER_DIRECTORY
+ * @param {Date|null} expiresAt - Expiry time, or null to keep the item forever
+ */
+async function setExpiry(relativePath, expiresAt) {
+  return updateManifest((items) => {
+    if (expiresAt) {
+      items[relativePath] = {
+        ...items[relativePath],
+        expiresAt: expiresAt.toISOString(),
+        uploadedAt: new Date().toISOString()
+      };
+    } else if (items[relativePath]) {
+      delete items[relativePath].expiresAt;
+      if (Object.keys(items[relativePath]).every(key => key === 'uploadedAt')) {
+        delete items[relativePath];
+      }
+    }
+  });
+}
+
+/**
+ * Forget deleted items (and anything recorded inside them)
+ * @param {string[]} relativePaths - Deleted paths relative to SERVER_DIRECTORY
+ */
+async function removeEntries(relativePaths) {
+  return updateManifest((items) => {
+    Object.keys(items).forEach((key) => {
+      if (relativePaths.some(relativePath => isWithin(key, relativePath))) {
+        delete items[key];
+      }
+    });
+  });
+}
+
+/**
+ * Follow a moved or renamed item (and anything recorded inside it)
+ * @param {string} fromPath - Old path relative to SERVER_DIRECTORY
+ * @param {string} toPath - New path relative to SERVER_DIRECTORY
+ */
+async function moveEntries(fromPath, toPath) {
+  return updateManifest((items) => {
+    Object.keys(items).forEach((key) => {
+      if (isWithin(key, fromPath)) {
+        items[toPath + key.slice(fromPath.length)] = items[key];
+        delete items[key];
+      }
+    });
+  });
+}
+
+module.exports = {
+  getExpiries,
+  getEntries,
+  addEntries,
+  setExpiry,
+  removeEntries,
+  moveEntries,
+  getManifestPath
+};
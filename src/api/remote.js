@@ -0,0 +1,101 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Run a shell command on the server over an existing SSH connection
+ * @param {object} sftp - Connected SFTP client
+ * @param {string} command - Command line (quote arguments with shellQuote)
+ * @returns {Promise<{stdout: string, stderr: string, code: number}>}
+ */
+function execCommand(sftp, command) {
+  return new Promise((resolve, reject) => {
+    sftp.client.exec(command, (error, stream) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+
+      let stdout = '';
+      let stderr = '';
+
+      stream.on('data', data => { stdout += data; });
+      stream.stderr.on('data', data => { stderr += data; });
+      stream.on('close', (code) => resolve({ stdout, stderr, code }));
+    });
+  });
+}
+
+/**
+ * Rename a remote file, replacing the destination if it already exists
+ */
+async function replaceRemoteFile(sftp, fromPath, toPath) {
+  try {
+    // Atomic replace where the server supports the OpenSSH extension
+    await sftp.posixRename(fromPath, toPath);
+  } catch (error) {
+    if (await sftp.exists(toPath)) {
+      await sftp.delete(toPath);
+    }
+    await sftp.rename(fromPath, toPath);
+  }
+}
+
+/**
+ * Read a remote text file (null when it does not exist)
+ */
+async function readRemoteText(sftp, remotePath) {
+  if (!(await sftp.exists(remotePath))) {
+    return null;
+  }
+  return (await sftp.get(remotePath)).toString('utf8');
+}
+
+/**
+ * Replace a remote text file via a temporary file, so readers (nginx,
+ * other clients) never see a half-written file
+ * The temporary name is unique, so two clients writing at once never share it
+ */
+async function writeRemoteText(sftp, remotePath, content, mode) {
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const tempPath = path.posix.join(path.posix.dirname(remotePath), `.${path.posix.basename(remotePath)}.${suffix}.fileshare-tmp`);
+
+  await sftp.put(Buffer.from(content, 'utf8'), tempPath, { writeStreamOptions: { mode } });
+
+  try {
+    await replaceRemoteFile(sftp, tempPath, remotePath);
+  } catch (error) {
+    await sftp.delete(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Quote a value for use as a single POSIX shell argument
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = {
+  execCommand,
+  replaceRemoteFile,
+  readRemoteText,
+  writeRemoteText,
+  shellQuote
+};
@@ -0,0 +1,174 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const SftpClient = require('ssh2-sftp-client');
+const fs = require('fs');
+const config = require('../utils/config');
+
+/**
+ * Connection pool shared by every SFTP operation in one command
+ *
+ * Authenticated connections are handed out one operation at a time and
+ * returned to the pool afterwards, so a command that touches the server
+ * many times only pays for the SSH handshake once per connection.
+ * Commands call closeAll() when they finish.
+ */
+
+// Upper limit for simultaneous connections (SSH servers throttle many
+// simultaneous logins through MaxStartups)
+const MAX_CONNECTIONS = 16;
+
+// Connections not currently in use
+const idle = [];
+
+// Callers waiting for a connection to become available
+const waiting = [];
+
+// Connections currently open (idle + in use)
+let openCount = 0;
+
+// Maximum number of simultaneous connections (defaults to UPLOAD_JOBS)
+let maxConnections = null;
+
+/**
+ * Create and configure SFTP client
+ */
+async function createClient() {
+  const sftp = new SftpClient();
+
+  const sshConfig = {
+    host: config.getConfig('SERVER_HOST'),
+    port: parseInt(config.getConfig('SERVER_PORT')),
+    username: config.getConfig('SERVER_USER'),
+    privateKey: fs.readFileSync(config.getSSHKeyPath())
+  };
+
+  await sftp.connect(sshConfig);
+  return sftp;
+}
+
+/**
+ * Set the maximum number of simultaneous connections
+ * @param {number} count - Connection limit (at least 1)
+ */
+function setMaxConnections(count) {
+  maxConnections = Math.min(MAX_CONNECTIONS, Math.max(1, count));
+}
+
+/**
+ * Get the maximum number of simultaneous connections
+ */
+function getMaxConnections() {
+  const configured = parseInt(config.getConfig('UPLOAD_JOBS')) || 1;
+  return maxConnections || Math.min(MAX_CONNECTIONS, Math.max(1, configured));
+}
+
+/**
+ * Check whether a pooled connection is still open
+ */
+function isAlive(sftp) {
+  return Boolean(sftp.sftp);
+}
+
+/**
+ * Take a connection from the pool, opening a new one if allowed,
+ * otherwise wait for one to be released
+ */
+async function acquireClient() {
+  while (idle.length > 0) {
+    const sftp = idle.pop();
+    if (isAlive(sftp)) {
+      return sftp;
+    }
+    openCount--;
+  }
+
+  if (openCount < getMaxConnections()) {
+    openCount++;
+    try {
+      return await createClient();
+    } catch (error) {
+      openCount--;
+      wakeNextWaiter();
+      throw error;
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+  });
+}
+
+/**
+ * Return a connection to the pool (or drop it if it has died)
+ */
+function releaseClient(sftp) {
+  if (!isAlive(sftp)) {
+    openCount--;
+    sftp.end().catch(() => {});
+    wakeNextWaiter();
+    return;
+  }
+
+  const next = waiting.shift();
+  if (next) {
+    next.resolve(sftp);
+  } else {
+    idle.push(sftp);
+  }
+}
+
+/**
+ * Let the next waiting caller try to open a connection of its own
+ */
+function wakeNextWaiter() {
+  const next = waiting.shift();
+  if (next) {
+    acquireClient().then(next.resolve, next.reject);
+  }
+}
+
+/**
+ * Run an operation with a pooled connection
+ * @param {function} operation - async (sftp) => result
+ */
+async function withClient(operation) {
+  const sftp = await acquireClient();
+
+  try {
+    return await operation(sftp);
+  } finally {
+    releaseClient(sftp);
+  }
+}
+
+/**
+ * Close every idle connection
+ */
+async function closeAll() {
+  const clients = idle.splice(0, idle.length);
+  openCount -= clients.length;
+
+  await Promise.all(clients.map(sftp => sftp.end().catch(() => {})));
+}
+
+module.exports = {
+  withClient,
+  setMaxConnections,
+  getMaxConnections,
+  closeAll,
+  MAX_CONNECTIONS
+};
@@ -14,96 +14,733 @@
  * limitations under the License.
  */
 
-const SftpClient = require('ssh2-sftp-client');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
 const config = require('../utils/config');
+const transfers = require('../utils/transfers');
+const shares = require('../utils/shares');
+const { walkLocalTree } = require('../utils/files');
+const { createArchiveStream } = require('../utils/archive');
+const { createEncryptStream, ENCRYPTED_EXTENSION } = require('../utils/encryption');
+const { getRemotePath, getPublicUrl, getNumberedName, TRASH_DIR } = require('../utils/paths');
+const { runTasks } = require('../utils/scheduler');
+const session = require('./session');
+const { replaceRemoteFile } = require('./remote');
+const { hashLocalPrefix, hashRemoteFile, formatChecksumFile, CHECKSUM_FILENAME } = require('./checksum');
+
+// Suffix for files that are still being uploaded
+const PARTIAL_SUFFIX = '.partial';
 
 /**
- * Create and configure SFTP client
+ * Upload a file to the server
+ * The file is written to "<name>.partial" and renamed once complete, so an
+ * interrupted transfer never looks like a finished file. Re-running the same
+ * upload continues from the end of an existing partial file once its
+ * contents are confirmed to match the local file.
+ * @param {string} localPath - Local file path
+ * @param {string} remoteName - Remote filename (optional, defaults to local filename)
+ * @param {function} progressCallback - Callback for progress updates (current, total)
+ * @param {object} options - Upload options
+ * @param {string} options.remoteSubdir - Destination folder relative to SERVER_DIRECTORY
+ * @param {boolean} options.verify - Verify the SHA-256 on the server (default true)
+ * @param {Date} options.expiresAt - Expiry kept with the transfer record for --resume
+ */
+async function uploadFile(localPath, remoteName = null, progressCallback = null, options = {}) {
+  return session.withClient(async (sftp) => {
+    const filename = remoteName || path.basename(localPath);
+    const remoteDir = getRemotePath(options.remoteSubdir);
+    const remotePath = getRemotePath(options.remoteSubdir, filename);
+    const partialPath = `${remotePath}${PARTIAL_SUFFIX}`;
+    const total = fs.statSync(localPath).size;
+
+    // Ensure remote directory exists
+    await sftp.mkdir(remoteDir, true);
+
+    // Remember the transfer until it completes
+    transfers.recordTransfer({
+      localPath: path.resolve(localPath),
+      remotePath,
+      partialPath,
+      remoteName: filename,
+      remoteSubdir: options.remoteSubdir || '',
+      size: total,
+      expiresAt: options.expiresAt ? options.expiresAt.toISOString() : null
+    });
+
+    // Upload with progress tracking
+    const transfer = await transferFile(sftp, localPath, remotePath, (transferred) => {
+      if (progressCallback) {
+        progressCallback(transferred, total, filename);
+      }
+    }, { verify: options.verify });
+
+    transfers.removeTransfer(remotePath);
+
+    return {
+      filename: filename,
+      url: getPublicUrl(options.remoteSubdir, filename),
+      ...transfer
+    };
+  });
+}
+
+/**
+ * Determine where an upload can continue from
+ * Continues from the end of an existing partial file when the bytes already
+ * on the server match the start of the local file, otherwise from 0
+ * @returns {Promise<{offset: number, hash: crypto.Hash}>} Offset and a SHA-256
+ *   hash already fed with the local bytes before it
+ */
+async function getResumeState(sftp, localPath, partialPath, total) {
+  const exists = await sftp.exists(partialPath);
+  const size = exists ? (await sftp.stat(partialPath)).size : 0;
+
+  if (size === 0 || size > total) {
+    return { offset: 0, hash: await hashLocalPrefix(localPath, 0) };
+  }
+
+  const [localHash, remoteHash] = await Promise.all([
+    hashLocalPrefix(localPath, size),
+    hashRemoteFile(sftp, partialPath, size)
+  ]);
+
+  if (localHash.copy().digest('hex') !== remoteHash) {
+    return { offset: 0, hash: await hashLocalPrefix(localPath, 0) };
+  }
+
+  return { offset: size, hash: localHash };
+}
+
+/**
+ * Upload a folder to the server (recursively)
+ * Walks the local tree first so progress can be reported against the total
+ * file count and byte count
+ * @param {string} localPath - Local folder path
+ * @param {string} remoteName - Remote folder name (optional, defaults to local folder name)
+ * @param {function} progressCallback - Callback for progress updates
+ *   (current, total, folderName, { filesDone, filesTotal, currentFile, activeFiles })
+ * @param {object} options - Upload options
+ * @param {string} options.remoteSubdir - Destination folder relative to SERVER_DIRECTORY
+ * @param {object} options.tree - Local tree from walkLocalTree, e.g. with ignore rules applied (walked if omitted)
+ * @param {number} options.jobs - Files to upload at once (defaults to the pool size)
+ * @param {boolean} options.verify - Verify each file's SHA-256 on the server (default true)
+ * @param {boolean} options.checksums - Write a SHA256SUMS file into the uploaded folder
+ * @param {boolean} options.preserveTimes - Give each remote file its local modification time
+ * @param {boolean} options.replace - Replace an existing folder of the same name instead of
+ *   uploading into it: the upload goes to "<name>.partial" and is swapped in once every
+ *   file arrived, so the existing folder stays untouched if any file fails
+ * @param {boolean} options.resumable - Record the upload for 'upload --resume' until every file arrived
+ * @param {object} options.ignore - Ignore options the tree was walked with, kept with the transfer record
+ * @param {Date} options.expiresAt - Expiry kept with the transfer record for --resume
  */
-async function createClient() {
-  const sftp = new SftpClient();
+async function uploadFolder(localPath, remoteName = null, progressCallback = null, options = {}) {
+  const folderName = remoteName || path.basename(localPath);
+  const targetPath = getRemotePath(options.remoteSubdir, folderName);
+  const remotePath = options.replace ? `${targetPath}${PARTIAL_SUFFIX}` : targetPath;
+  const { files, directories, totalBytes } = options.tree || walkLocalTree(localPath);
+
+  // Remember the transfer until every file arrived
+  if (options.resumable) {
+    transfers.recordTransfer({
+      localPath: path.resolve(localPath),
+      remotePath: targetPath,
+      partialPath: remotePath,
+      remoteName: folderName,
+      remoteSubdir: options.remoteSubdir || '',
+      type: 'directory',
+      size: totalBytes,
+      replace: Boolean(options.replace),
+      checksums: Boolean(options.checksums),
+      ignore: options.ignore || null,
+      expiresAt: options.expiresAt ? options.expiresAt.toISOString() : null
+    });
+  }
+
+  // Create the folder structure first
+  await session.withClient(async (sftp) => {
+    await sftp.mkdir(remotePath, true);
+    for (const directory of directories) {
+      await sftp.mkdir(path.posix.join(remotePath, directory), true);
+    }
+  });
+
+  // Upload files in parallel, reporting overall progress
+  const inFlight = new Map();
+  let completedBytes = 0;
+  let filesDone = 0;
+  let currentFile = null;
+
+  const report = () => {
+    if (!progressCallback) return;
 
-  const sshConfig = {
-    host: config.getConfig('SERVER_HOST'),
-    port: parseInt(config.getConfig('SERVER_PORT')),
-    username: config.getConfig('SERVER_USER'),
-    privateKey: fs.readFileSync(config.getSSHKeyPath())
+    let current = completedBytes;
+    inFlight.forEach(bytes => { current += bytes; });
+
+    progressCallback(current, totalBytes, folderName, {
+      filesDone,
+      filesTotal: files.length,
+      currentFile: inFlight.has(currentFile) ? currentFile : inFlight.keys().next().value || null,
+      activeFiles: inFlight.size
+    });
   };
 
-  await sftp.connect(sshConfig);
-  return sftp;
+  const tasks = files.map(file => () => session.withClient(async (sftp) => {
+    inFlight.set(file.relativePath, 0);
+    currentFile = file.relativePath;
+    report();
+
+    try {
+      const fileRemotePath = path.posix.join(remotePath, file.relativePath);
+      const transfer = await transferFile(sftp, file.path, fileRemotePath, (transferred) => {
+        inFlight.set(file.relativePath, transferred);
+        report();
+      }, { verify: options.verify });
+
+      if (options.preserveTimes) {
+        await setModifyTime(sftp, fileRemotePath, file.mtimeMs);
+      }
+
+      completedBytes += file.size;
+      filesDone++;
+
+      return transfer;
+    } finally {
+      inFlight.delete(file.relativePath);
+      report();
+    }
+  }));
+
+  const outcomes = await runTasks(tasks, options.jobs || session.getMaxConnections());
+
+  // One failed file doesn't stop the others; report them all at the end
+  const failedFiles = outcomes
+    .map((outcome, index) => ({ outcome, file: files[index] }))
+    .filter(({ outcome }) => outcome.status === 'rejected')
+    .map(({ outcome, file }) => ({ relativePath: file.relativePath, error: outcome.reason.message }));
+
+  // Let recipients check their downloads with "sha256sum -c SHA256SUMS"
+  if (options.checksums) {
+    const entries = outcomes
+      .map((outcome, index) => ({ outcome, file: files[index] }))
+      .filter(({ outcome }) => outcome.status === 'fulfilled')
+      .map(({ outcome, file }) => ({ relativePath: file.relativePath, sha256: outcome.value.sha256 }));
+
+    await session.withClient(sftp => sftp.put(
+      Buffer.from(formatChecksumFile(entries)),
+      path.posix.join(remotePath, CHECKSUM_FILENAME)
+    ));
+  }
+
+  if (options.replace && failedFiles.length === 0) {
+    await session.withClient(sftp => swapFolder(sftp, remotePath, targetPath));
+  }
+
+  if (options.resumable && failedFiles.length === 0) {
+    transfers.removeTransfer(targetPath);
+  }
+
+  return {
+    filename: folderName,
+    url: getPublicUrl(options.remoteSubdir, folderName),
+    fileCount: files.length,
+    totalBytes,
+    failedFiles
+  };
 }
 
 /**
- * Upload a file to the server
+ * Move a completed folder into place, removing the folder it replaces
+ * The old folder is renamed aside first, so the name is only briefly missing
+ */
+async function swapFolder(sftp, fromPath, toPath) {
+  const previousPath = `${toPath}.replaced`;
+
+  if (await sftp.exists(previousPath)) {
+    await sftp.rmdir(previousPath, true);
+  }
+
+  const replacing = await sftp.exists(toPath);
+  if (replacing) {
+    await sftp.rename(toPath, previousPath);
+  }
+
+  await sftp.rename(fromPath, toPath);
+
+  if (replacing) {
+    await sftp.rmdir(previousPath, true);
+  }
+}
+
+/**
+ * Upload one file through a ".partial" file, resuming where possible
+ * A SHA-256 is computed while the file streams up. With verification on,
+ * it is compared against a hash of the partial file computed on the server
+ * before the file is moved into place; a mismatch removes the partial file
+ * and fails the transfer.
+ * @param {object} sftp - Connected SFTP client
  * @param {string} localPath - Local file path
- * @param {string} remoteName - Remote filename (optional, defaults to local filename)
- * @param {function} progressCallback - Callback for progress updates (current, total)
+ * @param {string} remotePath - Final remote path
+ * @param {function} onBytes - Called with the bytes of this file transferred so far
+ * @param {object} options - Transfer options
+ * @param {boolean} options.verify - Compare checksums before completing (default true)
+ * @returns {Promise<{resumedFrom: number, sha256: string, verified: boolean}>}
  */
-async function uploadFile(localPath, remoteName = null, progressCallback = null) {
-  const sftp = await createClient();
+async function transferFile(sftp, localPath, remotePath, onBytes, options = {}) {
+  const partialPath = `${remotePath}${PARTIAL_SUFFIX}`;
+  const total = fs.statSync(localPath).size;
+  const verify = options.verify !== false;
 
-  try {
-    const filename = remoteName || path.basename(localPath);
-    const remoteDir = config.getConfig('SERVER_DIRECTORY');
-    const remotePath = path.posix.join(remoteDir, filename);
+  // Continue an interrupted transfer where possible
+  const { offset, hash } = await getResumeState(sftp, localPath, partialPath, total);
+
+  // Upload remaining bytes, hashing and tracking progress as they pass
+  let transferred = offset;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      transferred += chunk.length;
+      hash.update(chunk);
+      onBytes(transferred);
+      callback(null, chunk);
+    }
+  });
+
+  if (offset === total) {
+    onBytes(total);
+  }
+
+  // Read errors destroy the counter, which fails the put below
+  pipeline(fs.createReadStream(localPath, { start: offset }), counter, () => {});
+  await sftp.put(counter, partialPath, {
+    writeStreamOptions: offset > 0 ? { flags: 'r+', start: offset } : { flags: 'w' }
+  });
+
+  const sha256 = hash.digest('hex');
+
+  await completePartialFile(sftp, partialPath, remotePath, sha256, verify);
+
+  return { resumedFrom: offset, sha256, verified: verify };
+}
+
+/**
+ * Set a remote file's modification time
+ * @param {object} sftp - Connected SFTP client
+ * @param {string} remotePath - Absolute remote path
+ * @param {number} mtimeMs - Modification time in milliseconds
+ */
+function setModifyTime(sftp, remotePath, mtimeMs) {
+  const seconds = Math.floor(mtimeMs / 1000);
+
+  return new Promise((resolve, reject) => {
+    sftp.sftp.utimes(remotePath, seconds, seconds, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Move a fully written ".partial" file into place, first checking its
+ * SHA-256 on the server when verification is on
+ * A mismatch removes the partial file and throws an ECHECKSUM error
+ */
+async function completePartialFile(sftp, partialPath, remotePath, sha256, verify) {
+  // Check what arrived on the server before making it visible
+  if (verify) {
+    const remoteHash = await hashRemoteFile(sftp, partialPath);
+
+    if (remoteHash !== sha256) {
+      await sftp.delete(partialPath, true);
+      const error = new Error(
+        `Checksum mismatch for ${path.posix.basename(remotePath)}: local ${sha256}, server ${remoteHash}`
+      );
+      error.code = 'ECHECKSUM';
+      throw error;
+    }
+  }
+
+  // Move the completed file into place
+  await replaceRemoteFile(sftp, partialPath, remotePath);
+}
+
+/**
+ * Upload a file encrypted on the fly (see utils/encryption)
+ * The encrypted bytes stream into a ".partial" file; like archives,
+ * encrypted uploads cannot be resumed.
+ * @param {string} localPath - Local file path
+ * @param {string} remoteName - Remote filename (including ".enc")
+ * @param {function} progressCallback - Callback for progress updates against the
+ *   unencrypted bytes (current, total, filename)
+ * @param {object} options - Upload options
+ * @param {object} options.encryption - Key from createEncryptionKey
+ * @param {string} options.remoteSubdir - Destination folder relative to SERVER_DIRECTORY
+ * @param {boolean} options.verify - Verify the SHA-256 of the encrypted file on the server (default true)
+ */
+async function uploadEncryptedFile(localPath, remoteName, progressCallback = null, options = {}) {
+  return session.withClient(async (sftp) => {
+    const remoteDir = getRemotePath(options.remoteSubdir);
+    const total = fs.statSync(localPath).size;
 
-    // Ensure remote directory exists
     await sftp.mkdir(remoteDir, true);
 
-    // Upload file with progress tracking
-    await sftp.fastPut(localPath, remotePath, {
-      step: (total_transferred, chunk, total) => {
+    let transferred = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        transferred += chunk.length;
         if (progressCallback) {
-          progressCallback(total_transferred, total, filename);
+          progressCallback(transferred, total, remoteName);
         }
+        callback(null, chunk);
       }
     });
 
+    const encrypt = createEncryptStream(options.encryption);
+    pipeline(fs.createReadStream(localPath), counter, encrypt, () => {});
+
+    const { bytes, sha256, verified } = await putStream(sftp, encrypt, getRemotePath(options.remoteSubdir, remoteName), options.verify);
+
     return {
-      filename: filename,
-      url: `https://fileshare.ct-42210.com/${filename}`
+      filename: remoteName,
+      url: getPublicUrl(options.remoteSubdir, remoteName),
+      encryptedBytes: bytes,
+      sha256,
+      verified
     };
-  } finally {
-    await sftp.end();
-  }
+  });
 }
 
 /**
- * Upload a folder to the server (recursively)
+ * Upload a folder as a single compressed archive
+ * The archive is built while it streams into a ".partial" file, so nothing
+ * is written to local disk. Archives cannot be resumed; an interrupted
+ * upload starts again from the beginning.
  * @param {string} localPath - Local folder path
- * @param {string} remoteName - Remote folder name (optional, defaults to local folder name)
+ * @param {string} remoteName - Archive filename including its extension
+ * @param {function} progressCallback - Callback for progress updates against the
+ *   uncompressed bytes (current, total, archiveName, { filesDone, filesTotal, currentFile })
+ * @param {object} options - Upload options
+ * @param {string} options.archive - Archive format ("tar.gz" or "zip")
+ * @param {object} options.encryption - Key from createEncryptionKey to encrypt the archive (optional)
+ * @param {object} options.tree - Local tree from walkLocalTree, e.g. with ignore rules applied (walked if omitted)
+ * @param {string} options.remoteSubdir - Destination folder relative to SERVER_DIRECTORY
+ * @param {boolean} options.verify - Verify the archive's SHA-256 on the server (default true)
  */
-async function uploadFolder(localPath, remoteName = null) {
-  const sftp = await createClient();
+async function uploadArchive(localPath, remoteName, progressCallback = null, options = {}) {
+  return session.withClient(async (sftp) => {
+    const remoteDir = getRemotePath(options.remoteSubdir);
+    const tree = options.tree || walkLocalTree(localPath);
 
-  try {
-    const folderName = remoteName || path.basename(localPath);
-    const remoteDir = config.getConfig('SERVER_DIRECTORY');
-    const remotePath = path.posix.join(remoteDir, folderName);
+    await sftp.mkdir(remoteDir, true);
+
+    // Extracting recreates the folder under the archive's name
+    const archiveName = options.encryption ? remoteName.slice(0, -ENCRYPTED_EXTENSION.length) : remoteName;
+    const extension = `.${options.archive}`;
+
+    let source = createArchiveStream(localPath, tree, {
+      format: options.archive,
+      rootName: archiveName.endsWith(extension) ? archiveName.slice(0, -extension.length) : archiveName,
+      onProgress: ({ bytes, filesDone, currentFile }) => {
+        if (progressCallback) {
+          progressCallback(bytes, tree.totalBytes, remoteName, { filesDone, filesTotal: tree.files.length, currentFile });
+        }
+      }
+    });
+
+    if (options.encryption) {
+      const encrypt = createEncryptStream(options.encryption);
+      pipeline(source, encrypt, () => {});
+      source = encrypt;
+    }
 
-    // Upload entire directory
-    await sftp.uploadDir(localPath, remotePath);
+    const { bytes, sha256, verified } = await putStream(sftp, source, getRemotePath(options.remoteSubdir, remoteName), options.verify);
 
     return {
-      filename: folderName,
-      url: `https://fileshare.ct-42210.com/${folderName}`
+      filename: remoteName,
+      url: getPublicUrl(options.remoteSubdir, remoteName),
+      fileCount: tree.files.length,
+      totalBytes: tree.totalBytes,
+      archiveBytes: bytes,
+      sha256,
+      verified
     };
-  } finally {
-    await sftp.end();
+  });
+}
+
+/**
+ * Write a stream to a remote file through a ".partial" file, hashing the
+ * bytes as they pass and verifying them before the file is moved into place
+ * @param {object} sftp - Connected SFTP client
+ * @param {Readable} source - Content to upload
+ * @param {string} remotePath - Final remote path
+ * @param {boolean} verify - Compare checksums before completing (default true)
+ * @returns {Promise<{bytes: number, sha256: string, verified: boolean}>}
+ */
+async function putStream(sftp, source, remotePath, verify = true) {
+  const partialPath = `${remotePath}${PARTIAL_SUFFIX}`;
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  // Source errors (e.g. a file changing mid-archive) fail the put below
+  pipeline(source, counter, () => {});
+
+  try {
+    await sftp.put(counter, partialPath, { writeStreamOptions: { flags: 'w' } });
+  } catch (error) {
+    await sftp.delete(partialPath, true).catch(() => {});
+    throw error;
   }
+
+  const sha256 = hash.digest('hex');
+  await completePartialFile(sftp, partialPath, remotePath, sha256, verify !== false);
+
+  return { bytes, sha256, verified: verify !== false };
 }
 
 /**
- * List files on the server
+ * Get a single item on the server
+ * @param {string} relativePath - Path relative to SERVER_DIRECTORY
+ * @returns {Promise<object|null>} { name, type, size, modifyTime } or null if missing
+ */
+async function getRemoteItem(relativePath) {
+  return session.withClient(async (sftp) => {
+    const remotePath = getRemotePath(relativePath);
+
+    const exists = await sftp.exists(remotePath);
+    if (!exists) {
+      return null;
+    }
+
+    const stat = await sftp.stat(remotePath);
+
+    return {
+      name: relativePath,
+      path: relativePath,
+      type: stat.isDirectory ? 'directory' : 'file',
+      size: stat.size,
+      modifyTime: stat.modifyTime
+    };
+  });
+}
+
+/**
+ * Check whether a remote file has the same contents as a local file
+ * @param {string} localPath - Local file path
+ * @param {string} relativePath - Remote file relative to SERVER_DIRECTORY
+ */
+async function matchesRemoteFile(localPath, relativePath) {
+  return session.withClient(async (sftp) => {
+    const remotePath = getRemotePath(relativePath);
+    const stat = await sftp.stat(remotePath);
+    const size = fs.statSync(localPath).size;
+
+    if (stat.size !== size) {
+      return false;
+    }
+
+    const localHash = (await hashLocalPrefix(localPath, size)).digest('hex');
+    return localHash === await hashRemoteFile(sftp, remotePath);
+  });
+}
+
+/**
+ * Find a name that is free on the server by adding a copy number
+ * e.g. "report.pdf" -> "report (2).pdf"
+ * @param {string} remoteSubdir - Folder relative to SERVER_DIRECTORY
+ * @param {string} name - Preferred name
+ * @param {boolean} isDirectory - Whether the item is a folder
+ */
+async function findAvailableName(remoteSubdir, name, isDirectory = false) {
+  return session.withClient(async (sftp) => {
+    for (let number = 2; number < 10000; number++) {
+      const candidate = getNumberedName(name, number, isDirectory);
+      const remotePath = getRemotePath(remoteSubdir, candidate);
+
+      if (!(await sftp.exists(remotePath)) && !(await sftp.exists(`${remotePath}${PARTIAL_SUFFIX}`))) {
+        return candidate;
+      }
+    }
+
+    throw new Error(`No free name found for ${name}`);
+  });
+}
+
+/**
+ * Walk a folder on the server and collect every file and subfolder
+ * @param {string} relativePath - Folder path relative to SERVER_DIRECTORY
+ * @returns {Promise<{files: object[], directories: string[], totalBytes: number}>}
+ */
+async function getRemoteTree(relativePath) {
+  return session.withClient(sftp => walkRemoteTree(sftp, getRemotePath(relativePath)));
+}
+
+/**
+ * Recursively list a remote folder
+ * Relative paths use "/" and are relative to rootPath
  */
-async function listFiles() {
-  const sftp = await createClient();
+async function walkRemoteTree(sftp, rootPath) {
+  const files = [];
+  const directories = [];
+  let totalBytes = 0;
+
+  const visit = async (dirPath, relativeDir) => {
+    const entries = (await sftp.list(dirPath))
+      .filter(item => item.name !== '.' && item.name !== '..')
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (entry.type === 'd') {
+        directories.push(relativePath);
+        await visit(path.posix.join(dirPath, entry.name), relativePath);
+      } else {
+        files.push({ relativePath, size: entry.size, modifyTime: entry.modifyTime });
+        totalBytes += entry.size;
+      }
+    }
+  };
+
+  await visit(rootPath, '');
+
+  return { files, directories, totalBytes };
+}
+
+/**
+ * Download a file from the server
+ * The file is written to "<name>.partial" locally and renamed once complete
+ * @param {string} remoteName - File path relative to SERVER_DIRECTORY
+ * @param {string} localPath - Local destination file path
+ * @param {function} progressCallback - Callback for progress updates (current, total, filename)
+ */
+async function downloadFile(remoteName, localPath, progressCallback = null) {
+  return session.withClient(async (sftp) => {
+    const filename = path.posix.basename(remoteName);
+
+    await fetchFile(sftp, getRemotePath(remoteName), localPath, (transferred, total) => {
+      if (progressCallback) {
+        progressCallback(transferred, total, filename);
+      }
+    });
+
+    return { filename, localPath };
+  });
+}
+
+/**
+ * Download a folder from the server (recursively)
+ * @param {string} remoteName - Folder path relative to SERVER_DIRECTORY
+ * @param {string} localPath - Local destination folder path
+ * @param {function} progressCallback - Callback for progress updates
+ *   (current, total, folderName, { filesDone, filesTotal, currentFile, activeFiles })
+ * @param {object} options - Download options
+ * @param {object} options.tree - Remote tree from getRemoteTree (walked if omitted)
+ * @param {number} options.jobs - Files to download at once (defaults to the pool size)
+ */
+async function downloadFolder(remoteName, localPath, progressCallback = null, options = {}) {
+  const folderName = path.posix.basename(remoteName);
+  const remotePath = getRemotePath(remoteName);
+  const { files, directories, totalBytes } = options.tree || await getRemoteTree(remoteName);
+
+  // Create the folder structure first
+  fs.mkdirSync(localPath, { recursive: true });
+  directories.forEach(directory => {
+    fs.mkdirSync(path.join(localPath, ...directory.split('/')), { recursive: true });
+  });
+
+  // Download files in parallel, reporting overall progress
+  const inFlight = new Map();
+  let completedBytes = 0;
+  let filesDone = 0;
+
+  const report = (currentFile) => {
+    if (!progressCallback) return;
+
+    let current = completedBytes;
+    inFlight.forEach(bytes => { current += bytes; });
+
+    progressCallback(current, totalBytes, folderName, {
+      filesDone,
+      filesTotal: files.length,
+      currentFile,
+      activeFiles: inFlight.size
+    });
+  };
+
+  const tasks = files.map(file => () => session.withClient(async (sftp) => {
+    inFlight.set(file.relativePath, 0);
+    report(file.relativePath);
+
+    try {
+      const localFile = path.join(localPath, ...file.relativePath.split('/'));
+      await fetchFile(sftp, path.posix.join(remotePath, file.relativePath), localFile, (transferred) => {
+        inFlight.set(file.relativePath, transferred);
+        report(file.relativePath);
+      });
+
+      completedBytes += file.size;
+      filesDone++;
+    } finally {
+      inFlight.delete(file.relativePath);
+      report(null);
+    }
+  }));
+
+  const outcomes = await runTasks(tasks, options.jobs || session.getMaxConnections());
+
+  // One failed file doesn't stop the others; report them all at the end
+  const failedFiles = outcomes
+    .map((outcome, index) => ({ outcome, file: files[index] }))
+    .filter(({ outcome }) => outcome.status === 'rejected')
+    .map(({ outcome, file }) => ({ relativePath: file.relativePath, error: outcome.reason.message }));
+
+  return {
+    filename: folderName,
+    localPath,
+    fileCount: files.length,
+    totalBytes,
+    failedFiles
+  };
+}
+
+/**
+ * Download one file through a local ".partial" file
+ * @param {object} sftp - Connected SFTP client
+ * @param {string} remotePath - Absolute remote path
+ * @param {string} localPath - Local destination file path
+ * @param {function} onBytes - Called with (bytes transferred so far, total bytes)
+ */
+async function fetchFile(sftp, remotePath, localPath, onBytes) {
+  const partialPath = `${localPath}${PARTIAL_SUFFIX}`;
 
   try {
-    const remoteDir = config.getConfig('SERVER_DIRECTORY');
+    await sftp.fastGet(remotePath, partialPath, {
+      step: (totalTransferred, chunk, total) => onBytes(totalTransferred, total)
+    });
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw error;
+  }
+
+  fs.renameSync(partialPath, localPath);
+}
+
+/**
+ * List files on the server
+ * @param {string} relativePath - Folder relative to SERVER_DIRECTORY (top level by default)
+ * @param {object} options - List options
+ * @param {boolean} options.recursive - Include the contents of subfolders
+ * @returns {Promise<object[]>} Items with name (relative to the listed folder),
+ *   path (relative to SERVER_DIRECTORY), type, size and modifyTime
+ */
+async function listFiles(relativePath = '', options = {}) {
+  return session.withClient(async (sftp) => {
+    const remoteDir = getRemotePath(relativePath);
 
     // Check if directory exists
     const exists = await sftp.exists(remoteDir);
@@ -111,20 +748,98 @@ async function listFiles() {
       return [];
     }
 
-    const fileList = await sftp.list(remoteDir);
+    const results = [];
 
-    // Filter out . and .. entries and return just names
-    return fileList
-      .filter(item => item.name !== '.' && item.name !== '..')
-      .map(item => ({
-        name: item.name,
-        type: item.type === 'd' ? 'directory' : 'file',
-        size: item.size,
-        modifyTime: item.modifyTime
-      }));
-  } finally {
-    await sftp.end();
-  }
+    const visit = async (dirPath, relativeDir) => {
+      const fileList = await sftp.list(dirPath);
+
+      // Filter out . and .. entries, and the trash at the top level
+      const entries = fileList.filter(item => (
+        item.name !== '.' && item.name !== '..' && !(!relativePath && !relativeDir && item.name === TRASH_DIR)
+      ));
+
+      for (const item of entries) {
+        const name = relativeDir ? `${relativeDir}/${item.name}` : item.name;
+        const type = item.type === 'd' ? 'directory' : 'file';
+
+        results.push({
+          name,
+          path: relativePath ? `${relativePath}/${name}` : name,
+          type,
+          size: item.size,
+          modifyTime: item.modifyTime
+        });
+
+        if (options.recursive && type === 'directory') {
+          await visit(path.posix.join(dirPath, item.name), name);
+        }
+      }
+    };
+
+    await visit(remoteDir, '');
+
+    return results;
+  });
+}
+
+/**
+ * Private shares recorded on this machine that still exist on the server
+ * @returns {Promise<object[]>} Items shaped like listFiles results, named
+ *   after the shared item, plus { private: true, token }
+ */
+async function listSharedItems() {
+  const records = shares.getShares();
+  const items = await Promise.all(records.map(share => getRemoteItem(shares.getSharePath(share))));
+
+  return records
+    .map((share, index) => items[index] && {
+      ...items[index],
+      name: share.name,
+      token: share.token,
+      private: true
+    })
+    .filter(Boolean);
+}
+
+/**
+ * List the top level of the server directory, showing private shares
+ * under their own names instead of the token folder that holds them
+ * @param {object} options - List options (recursive)
+ */
+async function listFilesWithShares(options = {}) {
+  const [files, sharedItems] = await Promise.all([listFiles('', options), listSharedItems()]);
+
+  const publicFiles = files.filter(file => (
+    file.path !== shares.SHARES_DIR && !file.path.startsWith(`${shares.SHARES_DIR}/`)
+  ));
+
+  return [...publicFiles, ...sharedItems];
+}
+
+/**
+ * Rename or move an item within SERVER_DIRECTORY, creating missing folders
+ * Never replaces an existing item
+ * @param {string} fromPath - Current path relative to SERVER_DIRECTORY
+ * @param {string} toPath - New path relative to SERVER_DIRECTORY
+ * @returns {Promise<object>} { filename, path, url }
+ */
+async function moveItem(fromPath, toPath) {
+  return session.withClient(async (sftp) => {
+    const destination = getRemotePath(toPath);
+
+    if (await sftp.exists(destination)) {
+      throw new Error(`"${toPath}" already exists on the server`);
+    }
+
+    await sftp.mkdir(path.posix.dirname(destination), true);
+    await sftp.rename(getRemotePath(fromPath), destination);
+
+    return {
+      filename: path.posix.basename(toPath),
+      path: toPath,
+      url: getPublicUrl(toPath)
+    };
+  });
 }
 
 /**
@@ -132,9 +847,7 @@ async function listFiles() {
  * @param {string} filename - Filename to delete
  */
 async function deleteFile(filename) {
-  const sftp = await createClient();
-
-  try {
+  return session.withClient(async (sftp) => {
     const remoteDir = config.getConfig('SERVER_DIRECTORY');
     const remotePath = path.posix.join(remoteDir, filename);
 
@@ -150,9 +863,7 @@ async function deleteFile(filename) {
     }
 
     return true;
-  } finally {
-    await sftp.end();
-  }
+  });
 }
 
 /**
@@ -160,34 +871,54 @@ async function deleteFile(filename) {
  * @param {string[]} filenames - Array of filenames to delete
  */
 async function deleteMultipleFiles(filenames) {
-  const results = [];
+  const outcomes = await runTasks(
+    filenames.map(filename => () => deleteFile(filename)),
+    session.getMaxConnections()
+  );
 
-  for (const filename of filenames) {
-    try {
-      await deleteFile(filename);
-      results.push({ filename, success: true });
-    } catch (error) {
-      results.push({ filename, success: false, error: error.message });
-    }
-  }
-
-  return results;
+  return outcomes.map((outcome, index) => (
+    outcome.status === 'fulfilled'
+      ? { filename: filenames[index], success: true }
+      : { filename: filenames[index], success: false, error: outcome.reason.message }
+  ));
 }
 
 /**
  * Test connection to server
  */
 async function testConnection() {
-  const sftp = await createClient();
-  await sftp.end();
+  // Drop pooled connections so settings changed since they opened apply
+  await session.closeAll();
+  await session.withClient(async () => {});
   return true;
 }
 
+/**
+ * Close every pooled connection (call when a command finishes)
+ */
+async function disconnect() {
+  await session.closeAll();
+}
+
 module.exports = {
   uploadFile,
   uploadFolder,
+  uploadArchive,
+  uploadEncryptedFile,
+  downloadFile,
+  downloadFolder,
+  getRemoteItem,
+  getRemoteTree,
+  findAvailableName,
+  matchesRemoteFile,
   listFiles,
+  listSharedItems,
+  listFilesWithShares,
+  moveItem,
   deleteFile,
   deleteMultipleFiles,
-  testConnection
+  testConnection,
+  disconnect,
+  setMaxConnections: session.setMaxConnections,
+  MAX_JOBS: session.MAX_CONNECTIONS
 };
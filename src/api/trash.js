@@ -0,0 +1,215 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../utils/config');
+const { getRemotePath, TRASH_DIR } = require('../utils/paths');
+const { runTasks } = require('../utils/scheduler');
+const session = require('./session');
+const manifest = require('./manifest');
+const { readRemoteText, writeRemoteText } = require('./remote');
+
+/**
+ * Server-side trash for deleted items
+ *
+ * Kept in the hidden ".trash" folder of SERVER_DIRECTORY, so deleting is a
+ * rename on the same filesystem. Listings leave it out and nginx refuses
+ * hidden paths. Each deleted item is moved to "<id>/<name>" inside it, with
+ * "<id>.json" recording where it came from, when it was deleted, by whom and
+ * the manifest entries (expiry times) to put back on restore.
+ */
+
+/**
+ * Absolute path of the trash folder on the server
+ */
+function getTrashPath() {
+  return path.posix.join(config.getConfig('SERVER_DIRECTORY'), TRASH_DIR);
+}
+
+/**
+ * Short id for a trash entry, sortable by deletion time
+ */
+function generateId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Move one item into the trash
+ * @param {object} item - { path, type, size, share, manifest } (share: private share
+ *   record to restore; manifest: its manifest entries, keyed relative to the item)
+ * @returns {Promise<object>} The trash entry
+ */
+async function trashItem(item) {
+  return session.withClient(async (sftp) => {
+    const trashPath = getTrashPath();
+    const id = generateId();
+    const name = path.posix.basename(item.path);
+
+    const entry = {
+      id,
+      path: item.path,
+      name,
+      type: item.type,
+      size: item.size,
+      deletedAt: new Date().toISOString(),
+      deletedBy: `${os.userInfo().username}@${os.hostname()}`,
+      ...(item.share ? { share: item.share } : {}),
+      ...(item.manifest ? { manifest: item.manifest } : {})
+    };
+
+    await sftp.mkdir(path.posix.join(trashPath, id), true);
+    await sftp.rename(getRemotePath(item.path), path.posix.join(trashPath, id, name));
+
+    try {
+      await writeRemoteText(sftp, path.posix.join(trashPath, `${id}.json`), JSON.stringify(entry, null, 2) + '\n', 0o600);
+    } catch (error) {
+      // Without its record the item could not be restored, so put it back
+      await sftp.rename(path.posix.join(trashPath, id, name), getRemotePath(item.path));
+      await sftp.rmdir(path.posix.join(trashPath, id));
+      throw error;
+    }
+
+    return entry;
+  });
+}
+
+/**
+ * Move several items into the trash
+ * @param {object[]} items - Items as for trashItem
+ * @returns {Promise<object[]>} [{ path, success, entry, error }] in the same order
+ */
+async function trashItems(items) {
+  const recorded = await manifest.getEntries();
+
+  const outcomes = await runTasks(
+    items.map(item => () => trashItem({ ...item, manifest: getItemEntries(recorded, item.path) })),
+    session.getMaxConnections()
+  );
+
+  return outcomes.map((outcome, index) => (
+    outcome.status === 'fulfilled'
+      ? { path: items[index].path, success: true, entry: outcome.value }
+      : { path: items[index].path, success: false, error: outcome.reason.message }
+  ));
+}
+
+/**
+ * Manifest entries for an item and anything inside it, keyed relative to
+ * the item ('' for the item itself), or null when there are none
+ */
+function getItemEntries(recorded, relativePath) {
+  const entries = {};
+
+  Object.entries(recorded).forEach(([key, entry]) => {
+    if (key === relativePath) {
+      entries[''] = entry;
+    } else if (key.startsWith(`${relativePath}/`)) {
+      entries[key.slice(relativePath.length + 1)] = entry;
+    }
+  });
+
+  return Object.keys(entries).length > 0 ? entries : null;
+}
+
+/**
+ * Everything in the trash, most recently deleted first
+ * @returns {Promise<object[]>} Trash entries
+ */
+async function listTrash() {
+  return session.withClient(async (sftp) => {
+    const trashPath = getTrashPath();
+
+    if (!(await sftp.exists(trashPath))) {
+      return [];
+    }
+
+    const records = (await sftp.list(trashPath)).filter(file => file.type !== 'd' && file.name.endsWith('.json'));
+    const entries = await Promise.all(records.map(async (file) => {
+      const content = await readRemoteText(sftp, path.posix.join(trashPath, file.name));
+      return content ? JSON.parse(content) : null;
+    }));
+
+    return entries
+      .filter(Boolean)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  });
+}
+
+/**
+ * Move an item back to where it was deleted from
+ * @param {object} entry - Trash entry from listTrash
+ * @param {string} relativePath - Where to restore it (default: its original path)
+ */
+async function restoreItem(entry, relativePath = entry.path) {
+  await session.withClient(async (sftp) => {
+    const trashPath = getTrashPath();
+    const remotePath = getRemotePath(relativePath);
+
+    if (await sftp.exists(remotePath)) {
+      throw new Error(`"${relativePath}" already exists on the server`);
+    }
+
+    await sftp.mkdir(path.posix.dirname(remotePath), true);
+    await sftp.rename(path.posix.join(trashPath, entry.id, entry.name), remotePath);
+    await sftp.rmdir(path.posix.join(trashPath, entry.id));
+    await sftp.delete(path.posix.join(trashPath, `${entry.id}.json`));
+  });
+
+  // Expiry times come back with the item
+  if (entry.manifest) {
+    const entries = {};
+    Object.entries(entry.manifest).forEach(([key, value]) => {
+      entries[key ? `${relativePath}/${key}` : relativePath] = value;
+    });
+    await manifest.addEntries(entries);
+  }
+}
+
+/**
+ * Permanently delete trash entries
+ * @param {object[]} entries - Trash entries from listTrash
+ * @returns {Promise<object[]>} [{ id, success, error }] in the same order
+ */
+async function removeItems(entries) {
+  const outcomes = await runTasks(
+    entries.map(entry => () => session.withClient(async (sftp) => {
+      const trashPath = getTrashPath();
+      const itemDir = path.posix.join(trashPath, entry.id);
+
+      if (await sftp.exists(itemDir)) {
+        await sftp.rmdir(itemDir, true);
+      }
+      await sftp.delete(path.posix.join(trashPath, `${entry.id}.json`));
+    })),
+    session.getMaxConnections()
+  );
+
+  return outcomes.map((outcome, index) => (
+    outcome.status === 'fulfilled'
+      ? { id: entries[index].id, success: true }
+      : { id: entries[index].id, success: false, error: outcome.reason.message }
+  ));
+}
+
+module.exports = {
+  trashItems,
+  listTrash,
+  restoreItem,
+  removeItems,
+  getTrashPath
+};
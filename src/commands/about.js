@@ -18,6 +18,7 @@ const chalk = require('chalk');
 const asciify = require('asciify-image');
 const path = require('path');
 const { displayError } = require('../utils/errors');
+const { getPublicBaseUrl } = require('../utils/paths');
 
 /**
  * About command - displays application information
@@ -48,7 +49,8 @@ async function aboutCommand() {
     console.log('  ' + chalk.bold('Author:   ') + chalk.yellow('Negative Space Software'));
     console.log('  ' + chalk.bold('License:  ') + chalk.magenta('Apache License 2.0'));
     console.log('');
-    console.log('  ' + chalk.bold('Server:   ') + chalk.blue('https://fileshare.ct-42210.com'));
+    const baseUrl = getPublicBaseUrl();
+    console.log('  ' + chalk.bold('Server:   ') + (baseUrl ? chalk.blue(baseUrl) : chalk.red('Not set')));
     console.log('');
     console.log('  ' + chalk.gray('Securely transfer large files and folders between computers'));
     console.log('  ' + chalk.gray('Built with Node.js, Inquirer, Chalk, and SFTP'));
@@ -0,0 +1,118 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EXIT_CODES, displayError, displayValidationError } = require('../utils/errors');
+const { displayInfo, displaySuccess, createProgressDisplay } = require('../ui/display');
+const { confirm, passwordInput } = require('../ui/select');
+const { isEncryptedFile, decryptToFile, getDecryptedName, getKeyFromLink } = require('../utils/encryption');
+const { openUrl } = require('../api/http');
+
+/**
+ * Decrypt command - restores a file uploaded with --encrypt
+ * Works on a downloaded file, or fetches and decrypts a link directly
+ * (using the key in its "#key=" fragment when present)
+ * @param {string} source - Local file path or http(s):// link
+ * @param {object} options - Command options (out, key, yes)
+ */
+async function decryptCommand(source, options = {}) {
+  try {
+    // 1. Validate input
+    const isLink = /^https?:\/\//i.test(source);
+
+    let link = null;
+    if (isLink) {
+      try {
+        link = new URL(source);
+      } catch (error) {
+        displayValidationError(`Not a valid link: ${source}`);
+      }
+    } else {
+      if (!fs.existsSync(source) || !fs.statSync(source).isFile()) {
+        displayValidationError(`File not found: ${source}`);
+      }
+
+      if (!(await isEncryptedFile(source))) {
+        displayValidationError(`Not an encrypted file: ${source}`);
+      }
+    }
+
+    // 2. Work out where the decrypted file goes
+    const inputName = isLink ? decodeURIComponent(path.posix.basename(link.pathname)) : path.basename(source);
+    const defaultDir = isLink ? process.cwd() : path.dirname(path.resolve(source));
+    let outputPath = path.join(defaultDir, getDecryptedName(inputName));
+
+    if (options.out) {
+      const out = path.resolve(options.out);
+      outputPath = fs.existsSync(out) && fs.statSync(out).isDirectory()
+        ? path.join(out, getDecryptedName(inputName))
+        : out;
+    }
+
+    if (fs.existsSync(outputPath) && !options.yes) {
+      const overwrite = await confirm(`"${path.basename(outputPath)}" already exists. Overwrite it?`);
+      if (!overwrite) {
+        return;
+      }
+    }
+
+    // 3. Find the passphrase
+    const passphrase = options.key || (isLink && getKeyFromLink(source)) || process.env.FILESHARE_PASSPHRASE || await promptPassphrase();
+
+    // 4. Decrypt, fetching the file first for links
+    let input;
+    let total;
+
+    if (isLink) {
+      displayInfo(`Downloading ${inputName}...`);
+      const response = await openUrl(source);
+      input = response.stream;
+      total = response.size;
+    } else {
+      input = fs.createReadStream(source);
+      total = fs.statSync(source).size;
+    }
+
+    const progress = createProgressDisplay(isLink ? 'Downloading' : 'Decrypting');
+
+    await decryptToFile(input, outputPath, passphrase, (bytes) => {
+      progress(bytes, total || bytes, path.basename(outputPath));
+    });
+
+    // 5. Display result
+    console.log(''); // New line after progress
+    displaySuccess(`Decrypted: ${outputPath}`);
+    console.log('');
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  }
+}
+
+/**
+ * Ask for the passphrase (interactive terminals only)
+ */
+async function promptPassphrase() {
+  if (!process.stdin.isTTY) {
+    displayValidationError('Pass --key, use a link ending in "#key=...", or set FILESHARE_PASSPHRASE');
+  }
+
+  return passwordInput('Passphrase (the part after "#key=" in the link):');
+}
+
+module.exports = decryptCommand;
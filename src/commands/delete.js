@@ -15,73 +15,144 @@
  */
 
 const chalk = require('chalk');
-const { displayError, requireConfig } = require('../utils/errors');
-const { displayInfo, displaySuccess, displayWarning, displayList } = require('../ui/display');
-const { selectMultipleFiles, confirm } = require('../ui/select');
+const { Minimatch, minimatch } = require('minimatch');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displayInfo, displaySuccess, displayWarning, formatBytes, formatExpiry } = require('../ui/display');
+const { selectRemoteItems, confirm } = require('../ui/select');
 const config = require('../utils/config');
+const { normalizeRemotePath, getPublicUrl } = require('../utils/paths');
+const { recordHistory } = require('../utils/history');
+const shares = require('../utils/shares');
 const sftp = require('../api/sftp');
+const manifest = require('../api/manifest');
+const trash = require('../api/trash');
 
 /**
- * Delete command - deletes files or folders from the server
+ * Delete command - moves files or folders on the server to the trash
+ * (or deletes them for good with --permanent)
+ * @param {string[]} patterns - Paths or glob patterns relative to SERVER_DIRECTORY (browse when empty)
+ * @param {object} options - Command options (dryRun, yes, permanent)
  */
-async function deleteCommand(options = {}) {
+async function deleteCommand(patterns = [], options = {}) {
   try {
     // 1. Check configuration
     requireConfig(config);
 
-    // 2. Load files from server
-    displayInfo('Loading files from server...');
-    const files = await sftp.listFiles();
+    // 2. Resolve items from arguments, or browse the server for them
+    let items;
 
-    if (files.length === 0) {
-      displayWarning('No files found on server');
+    if (patterns.length > 0) {
+      items = await resolveTargets(patterns);
+    } else {
+      items = await selectRemoteItems(listFolder, 'Select files or folders to delete:', 'delete this folder');
+    }
+
+    if (!items || items.length === 0) {
+      displayWarning('No files selected');
       return;
     }
 
-    // 3. Display available files
-    console.log(chalk.cyan('\nFiles on server:\n'));
-    files.forEach((file, index) => {
-      const typeIcon = file.type === 'directory' ? '/' : '';
-      const sizeStr = file.type === 'file' ? ` (${formatBytes(file.size)})` : '';
-      console.log(`  ${index + 1}. ${file.name}${typeIcon}${sizeStr}`);
-    });
-    console.log('');
+    // Items inside a selected folder go with it
+    items = items.filter(item => !items.some(other => (
+      other !== item && other.type === 'directory' && item.path.startsWith(`${other.path}/`)
+    )));
 
-    // 4. Select files to delete
-    const selectedFiles = await selectMultipleFiles(files.map(f => f.name));
+    // 3. Display what would be deleted, with folder totals
+    displayInfo('Measuring selected items...');
 
-    if (selectedFiles.length === 0) {
-      displayWarning('No files selected');
+    const [trees, expiries] = await Promise.all([
+      Promise.all(items.map(item => (item.type === 'directory' ? sftp.getRemoteTree(item.path) : null))),
+      manifest.getExpiries()
+    ]);
+    const sizes = items.map((item, index) => (trees[index] ? trees[index].totalBytes : item.size));
+    const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+
+    console.log(chalk.cyan(`\n${options.permanent ? 'To delete permanently' : 'To move to the trash'} (${items.length}):\n`));
+    items.forEach((item, index) => {
+      const tree = trees[index];
+      const sizeStr = tree
+        ? `${tree.files.length} files, ${formatBytes(tree.totalBytes)}`
+        : formatBytes(item.size);
+      const expiresAt = expiries[item.path];
+      console.log(`  - ${getLabel(item)} ${chalk.gray(`(${sizeStr})`)}${expiresAt ? ' ' + chalk.gray(`expires ${formatExpiry(expiresAt)}`) : ''}`);
+    });
+    console.log(chalk.gray(`\nTotal: ${formatBytes(totalBytes)}\n`));
+
+    if (options.dryRun) {
+      displayInfo('Dry run: nothing was deleted');
       return;
     }
 
-    // 5. Confirm deletion
-    const message = selectedFiles.length === 1
-      ? `Delete "${selectedFiles[0]}"?`
-      : `Delete ${selectedFiles.length} items?`;
+    // 4. Confirm deletion
+    if (!options.yes) {
+      const message = (items.length === 1
+        ? `Delete "${getLabel(items[0])}"`
+        : `Delete ${items.length} items`) + (options.permanent ? ' permanently? This cannot be undone' : '?');
 
-    const confirmed = await confirm(message);
+      const confirmed = await confirm(message);
 
-    if (!confirmed) {
-      console.log(chalk.yellow('\n[!] Deletion cancelled\n'));
-      return;
+      if (!confirmed) {
+        console.log(chalk.yellow('\n[!] Deletion cancelled\n'));
+        return;
+      }
     }
 
-    // 6. Delete files
-    displayInfo(`Deleting ${selectedFiles.length} item(s)...`);
+    // 5. Delete items
+    displayInfo(`Deleting ${items.length} item(s)...`);
+
+    // Private shares are removed together with their token folder
+    const targets = items.map(item => (item.private ? `${shares.SHARES_DIR}/${item.token}` : item.path));
+    const outcomes = options.permanent
+      ? await sftp.deleteMultipleFiles(targets)
+      : await trash.trashItems(items.map((item, index) => ({
+        path: targets[index],
+        type: item.private ? 'directory' : item.type,
+        size: sizes[index],
+        share: item.private ? { token: item.token, name: item.name, type: item.type } : null
+      })));
+
+    const results = outcomes.map((result, index) => ({
+      ...result,
+      filename: getLabel(items[index])
+    }));
+
+    results.forEach((result, index) => {
+      if (!result.success) {
+        return;
+      }
+
+      if (items[index].private) {
+        shares.removeShare(items[index].token);
+      }
 
-    const results = await sftp.deleteMultipleFiles(selectedFiles);
+      recordHistory({
+        action: 'delete',
+        remotePath: targets[index],
+        name: items[index].name,
+        size: sizes[index],
+        url: getPublicUrl(items[index].path),
+        ...(result.entry ? { trashId: result.entry.id } : { permanent: true })
+      });
+    });
 
-    // 7. Display results
+    await manifest.removeEntries(targets.filter((target, index) => results[index].success));
+
+    // 6. Display results
     const successful = results.filter(r => r.success);
     const failed = results.filter(r => !r.success);
 
     if (successful.length > 0) {
-      displaySuccess(`Deleted ${successful.length} item(s)`);
+      displaySuccess(options.permanent
+        ? `Deleted ${successful.length} item(s)`
+        : `Moved ${successful.length} item(s) to the trash`);
       successful.forEach(r => {
-        console.log(chalk.gray('  - ') + r.filename);
+        console.log(chalk.gray('  - ') + r.filename + (r.entry ? chalk.gray(` (${r.entry.id})`) : ''));
       });
       console.log('');
+
+      if (!options.permanent) {
+        console.log(chalk.gray('Undo with: fileshare restore <id>, see "fileshare trash list"\n'));
+      }
     }
 
     if (failed.length > 0) {
@@ -90,25 +161,111 @@ async function deleteCommand(options = {}) {
         console.log(chalk.red('  - ') + r.filename + chalk.gray(` (${r.error})`));
       });
       console.log('');
+      process.exit(successful.length > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE);
     }
 
   } catch (error) {
     displayError(error);
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * List a folder for the remote browser (private shares appear at the top level)
+ */
+function listFolder(relativePath) {
+  return relativePath ? sftp.listFiles(relativePath) : sftp.listFilesWithShares();
+}
+
+/**
+ * Name shown for an item: its path, or its name for a private share
+ */
+function getLabel(item) {
+  return item.private ? `${item.name} (private)` : item.path;
+}
+
+/**
+ * Find the items named by command-line paths and glob patterns
+ * Plain names not found on the server are matched against private shares
+ * @param {string[]} patterns - e.g. "report.pdf", "builds/old", "builds/*.log"
+ * @returns {Promise<object[]>} Remote items, each listed once
+ */
+async function resolveTargets(patterns) {
+  const found = new Map();
+
+  for (const pattern of patterns) {
+    let relativePath;
+    try {
+      relativePath = normalizeRemotePath(pattern);
+    } catch (error) {
+      displayValidationError(error.message);
+    }
+
+    if (!relativePath) {
+      displayValidationError('Refusing to delete the whole server directory');
+    }
+
+    const matches = new Minimatch(relativePath).hasMagic()
+      ? await matchPattern(relativePath)
+      : await findItem(relativePath);
+
+    if (matches.length === 0) {
+      displayValidationError(`Nothing on the server matches: ${pattern}`);
+    }
+
+    matches.forEach(item => found.set(item.path, item));
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Look up a single path, falling back to a private share of that name
+ * @returns {Promise<object[]>} The item, or nothing
+ */
+async function findItem(relativePath) {
+  const item = await sftp.getRemoteItem(relativePath);
+
+  if (item) {
+    return [item];
   }
+
+  const matches = shares.getShares().filter(share => share.name === relativePath);
+
+  if (matches.length > 1) {
+    displayValidationError(`"${relativePath}" matches ${matches.length} private shares, use its full path (see "fileshare list --json")`);
+  }
+
+  const shared = await sftp.listSharedItems();
+  return shared.filter(sharedItem => matches.length === 1 && sharedItem.token === matches[0].token);
 }
 
 /**
- * Format bytes to human-readable string
+ * Items whose path matches a glob pattern
+ * Only the folder before the first wildcard is listed, and only as deep as
+ * the pattern reaches
  */
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
+async function matchPattern(pattern) {
+  const segments = pattern.split('/');
+  const firstMagic = segments.findIndex(segment => new Minimatch(segment).hasMagic());
+  const baseDir = segments.slice(0, firstMagic).join('/');
+
+  if (baseDir) {
+    const base = await sftp.getRemoteItem(baseDir);
+    if (!base || base.type !== 'directory') {
+      return [];
+    }
+  }
 
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  const recursive = pattern.includes('**') || firstMagic < segments.length - 1;
+  const entries = await sftp.listFiles(baseDir, { recursive });
 
-  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+  return entries.filter(entry => (
+    minimatch(entry.path, pattern) &&
+    entry.path !== shares.SHARES_DIR && !entry.path.startsWith(`${shares.SHARES_DIR}/`)
+  ));
 }
 
 module.exports = deleteCommand;
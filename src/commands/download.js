@@ -0,0 +1,298 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displayInfo, displaySuccess, displayWarning, displayRemoteFiles, createProgressDisplay, formatBytes } = require('../ui/display');
+const { selectMultipleFiles, confirm, passwordInput } = require('../ui/select');
+const config = require('../utils/config');
+const { normalizeRemotePath } = require('../utils/paths');
+const shares = require('../utils/shares');
+const { isEncryptedFile, decryptToFile, getDecryptedName } = require('../utils/encryption');
+const sftp = require('../api/sftp');
+
+/**
+ * Download command - downloads files or folders from the server
+ * @param {string[]} names - Remote names to download (interactive picker when empty)
+ * @param {object} options - Command options (out, yes, jobs, key, decrypt)
+ */
+async function downloadCommand(names = [], options = {}) {
+  try {
+    // 1. Check configuration
+    requireConfig(config);
+
+    // 2. Validate options
+    const outDir = path.resolve(options.out || process.cwd());
+
+    if (fs.existsSync(outDir) && !fs.statSync(outDir).isDirectory()) {
+      displayValidationError(`Output path is not a directory: ${outDir}`);
+    }
+
+    if (options.jobs !== undefined) {
+      const jobs = parseInt(options.jobs);
+      if (isNaN(jobs) || jobs < 1 || jobs > sftp.MAX_JOBS) {
+        displayValidationError(`--jobs must be a number between 1 and ${sftp.MAX_JOBS}`);
+      }
+      sftp.setMaxConnections(jobs);
+    }
+
+    // 3. Resolve items from arguments, or select them interactively
+    let items;
+
+    if (names.length > 0) {
+      items = await resolveRemoteItems(names);
+    } else {
+      displayInfo('Loading files from server...');
+      const files = await sftp.listFilesWithShares();
+
+      if (files.length === 0) {
+        displayWarning('No files found on server');
+        return;
+      }
+
+      displayRemoteFiles(files);
+
+      const selectedPaths = await selectMultipleFiles(
+        files.map(f => ({ name: f.private ? `${f.name} (private)` : f.name, value: f.path })),
+        'Select files to download (use space to select):'
+      );
+
+      if (selectedPaths.length === 0) {
+        displayWarning('No files selected');
+        return;
+      }
+
+      items = files.filter(f => selectedPaths.includes(f.path));
+    }
+
+    // 4. Download each item, asking before overwriting local files
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const results = [];
+
+    for (const item of items) {
+      try {
+        const result = await downloadItem(item, outDir, options);
+        results.push({ item, ...result });
+      } catch (error) {
+        console.log('');
+        displayWarning(`Failed to download ${item.name}: ${error.message}`);
+        results.push({ item, status: 'failed', error: error.message });
+      }
+    }
+
+    // 5. Display results
+    displayDownloadSummary(results);
+
+    const failed = results.filter(r => r.status === 'failed');
+    const incomplete = results.filter(r => r.status === 'incomplete');
+
+    if (failed.length > 0 && failed.length === results.length) {
+      process.exit(EXIT_CODES.FAILURE);
+    } else if (failed.length > 0 || incomplete.length > 0) {
+      process.exit(EXIT_CODES.PARTIAL_FAILURE);
+    }
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * Look up remote names given on the command line
+ * Names not found on the server are matched against private shares
+ * @param {string[]} names - Paths relative to SERVER_DIRECTORY, or private share names
+ */
+async function resolveRemoteItems(names) {
+  const items = [];
+
+  for (const name of names) {
+    let relativePath;
+    try {
+      relativePath = normalizeRemotePath(name);
+    } catch (error) {
+      displayValidationError(error.message);
+    }
+
+    let item = await sftp.getRemoteItem(relativePath);
+
+    if (!item) {
+      const matches = shares.getShares().filter(share => share.name === relativePath);
+
+      if (matches.length > 1) {
+        displayValidationError(`"${name}" matches ${matches.length} private shares, use its full path (see "fileshare list --json")`);
+      }
+
+      item = matches.length === 1 ? await sftp.getRemoteItem(shares.getSharePath(matches[0])) : null;
+    }
+
+    if (!item) {
+      displayValidationError(`Not found on server: ${name}`);
+    }
+
+    items.push(item);
+  }
+
+  return items;
+}
+
+/**
+ * Download a single file or folder into outDir
+ * @returns {Promise<object>} { status: 'downloaded'|'incomplete'|'skipped', localPath }
+ */
+async function downloadItem(item, outDir, options) {
+  const localPath = path.join(outDir, path.posix.basename(item.path));
+
+  if (item.type === 'directory') {
+    const tree = await sftp.getRemoteTree(item.path);
+
+    // Ask once for every local file the folder would overwrite
+    const existing = tree.files.filter(f => fs.existsSync(path.join(localPath, ...f.relativePath.split('/'))));
+
+    if (existing.length > 0 && !options.yes) {
+      const overwrite = await confirm(
+        `${existing.length} file(s) in "${path.basename(localPath)}" already exist locally. Overwrite them?`
+      );
+      if (!overwrite) {
+        return { status: 'skipped', localPath };
+      }
+    }
+
+    displayInfo(`Downloading folder: ${item.name}`);
+
+    const result = await sftp.downloadFolder(item.path, localPath, createProgressDisplay('Downloading'), { tree });
+
+    console.log(''); // New line after progress
+
+    if (result.failedFiles.length > 0) {
+      displayWarning(`${result.failedFiles.length} of ${result.fileCount} file(s) failed to download`);
+      result.failedFiles.forEach(f => {
+        console.log(chalk.red('  - ') + f.relativePath + chalk.gray(` (${f.error})`));
+      });
+      console.log('');
+      return { status: 'incomplete', localPath };
+    }
+
+    displaySuccess(`Folder downloaded: ${result.filename} (${result.fileCount} files, ${formatBytes(result.totalBytes)})`);
+    return { status: 'downloaded', localPath };
+  }
+
+  if (fs.existsSync(localPath) && !options.yes) {
+    const overwrite = await confirm(`"${path.basename(localPath)}" already exists locally. Overwrite it?`);
+    if (!overwrite) {
+      return { status: 'skipped', localPath };
+    }
+  }
+
+  await sftp.downloadFile(item.path, localPath, createProgressDisplay('Downloading'));
+
+  console.log(''); // New line after progress
+  displaySuccess(`Download complete: ${path.basename(localPath)}`);
+
+  if (options.decrypt !== false && await isEncryptedFile(localPath)) {
+    return decryptDownload(localPath, options);
+  }
+
+  return { status: 'downloaded', localPath };
+}
+
+/**
+ * Decrypt a downloaded file uploaded with --encrypt, replacing it with the original
+ * @returns {Promise<object>} { status: 'downloaded', localPath }
+ */
+async function decryptDownload(encryptedPath, options) {
+  const outputPath = path.join(path.dirname(encryptedPath), getDecryptedName(path.basename(encryptedPath)));
+
+  if (fs.existsSync(outputPath) && !options.yes) {
+    const overwrite = await confirm(`"${path.basename(outputPath)}" already exists locally. Overwrite it with the decrypted file?`);
+    if (!overwrite) {
+      displayWarning(`Kept the encrypted file: ${encryptedPath}`);
+      return { status: 'downloaded', localPath: encryptedPath };
+    }
+  }
+
+  let passphrase = options.key || process.env.FILESHARE_PASSPHRASE;
+
+  if (!passphrase) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`File is encrypted, pass --key or set FILESHARE_PASSPHRASE (encrypted file kept at ${encryptedPath})`);
+    }
+
+    passphrase = await passwordInput(`Passphrase for ${path.basename(encryptedPath)} (the part after "#key=" in its link):`);
+
+    // Later encrypted items in this download usually share the passphrase
+    options.key = passphrase;
+  }
+
+  const total = fs.statSync(encryptedPath).size;
+  const progress = createProgressDisplay('Decrypting');
+
+  try {
+    await decryptToFile(fs.createReadStream(encryptedPath), outputPath, passphrase, (bytes) => {
+      progress(bytes, total, path.basename(outputPath));
+    });
+  } catch (error) {
+    console.log('');
+    throw new Error(`${error.message} (encrypted file kept at ${encryptedPath})`);
+  }
+
+  fs.rmSync(encryptedPath);
+
+  console.log(''); // New line after progress
+  displaySuccess(`Decrypted: ${path.basename(outputPath)}`);
+  return { status: 'downloaded', localPath: outputPath };
+}
+
+/**
+ * Display combined result of all downloads
+ */
+function displayDownloadSummary(results) {
+  const downloaded = results.filter(r => r.status === 'downloaded' || r.status === 'incomplete');
+  const skipped = results.filter(r => r.status === 'skipped');
+  const failed = results.filter(r => r.status === 'failed');
+
+  if (downloaded.length > 0) {
+    displaySuccess(`Downloaded ${downloaded.length} of ${results.length} item(s)`);
+    downloaded.forEach(r => {
+      const note = r.status === 'incomplete' ? chalk.yellow(' (some files failed)') : '';
+      console.log(chalk.gray('  - ') + r.localPath + note);
+    });
+    console.log('');
+  }
+
+  if (skipped.length > 0) {
+    displayWarning(`Skipped ${skipped.length} item(s) to avoid overwriting local files`);
+    skipped.forEach(r => {
+      console.log(chalk.yellow('  - ') + r.localPath);
+    });
+    console.log('');
+  }
+
+  if (failed.length > 0) {
+    displayWarning(`Failed to download ${failed.length} item(s)`);
+    failed.forEach(r => {
+      console.log(chalk.red('  - ') + r.item.name + chalk.gray(` (${r.error})`));
+    });
+    console.log('');
+  }
+}
+
+module.exports = downloadCommand;
@@ -0,0 +1,205 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chalk = require('chalk');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displayInfo, displaySuccess, displayWarning, displayTable, formatBytes, formatDateTime } = require('../ui/display');
+const config = require('../utils/config');
+const { parseDuration } = require('../utils/duration');
+const { readHistory, isCurrentServer, HISTORY_PATH } = require('../utils/history');
+const { copyToClipboard } = require('../utils/clipboard');
+const sftp = require('../api/sftp');
+
+// Values accepted by --action
+const ACTIONS = ['upload', 'sync', 'delete'];
+
+/**
+ * History command - lists uploads and deletes made from this machine
+ *
+ * With --profile only that profile's entries are shown. A query that is an
+ * entry number ("12" or "#12") picks that entry; anything else searches
+ * names, paths and URLs.
+ * @param {string} query - Entry number or search text (optional)
+ * @param {object} options - Command options (limit, action, since, url, copy, check, json)
+ */
+async function historyCommand(query, options = {}) {
+  try {
+    // 1. Validate options
+    const limit = options.limit !== undefined ? parseInt(options.limit) : 20;
+    if (isNaN(limit) || limit < 1) {
+      displayValidationError('--limit must be a positive number');
+    }
+
+    if (options.action && !ACTIONS.includes(options.action)) {
+      displayValidationError(`--action must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    let since = null;
+    if (options.since) {
+      const age = parseDuration(options.since);
+      if (age === null) {
+        displayValidationError(`Invalid --since "${options.since}" (use a duration like 24h or 7d)`);
+      }
+      since = Date.now() - age;
+    }
+
+    // 2. Filter entries, newest first
+    let entries = readHistory().reverse();
+
+    const profile = config.getActiveProfile();
+    if (profile.source === 'flag') {
+      entries = entries.filter(entry => entry.profile === profile.name);
+    }
+
+    const idMatch = query && query.match(/^#?(\d+)$/);
+    const byId = idMatch ? entries.filter(entry => entry.id === parseInt(idMatch[1])) : [];
+
+    if (byId.length > 0) {
+      entries = byId;
+    } else if (query) {
+      const text = query.toLowerCase();
+      entries = entries.filter(entry => [entry.name, entry.remotePath, entry.localPath, entry.url]
+        .some(value => value && value.toLowerCase().includes(text)));
+    }
+
+    if (options.action) {
+      entries = entries.filter(entry => entry.action === options.action);
+    }
+
+    if (since !== null) {
+      entries = entries.filter(entry => new Date(entry.time).getTime() >= since);
+    }
+
+    const matchCount = entries.length;
+    entries = entries.slice(0, limit);
+
+    // 3. Re-print or copy the newest matching URL
+    if (options.url || options.copy) {
+      if (entries.length === 0) {
+        displayValidationError(query ? `No history entry matches "${query}"` : 'The history is empty');
+      }
+
+      const { url } = entries[0];
+
+      if (options.copy) {
+        if (copyToClipboard(url)) {
+          displaySuccess(`Copied to the clipboard: ${url}`);
+        } else {
+          displayWarning('No clipboard command found (pbcopy, clip, wl-copy, xclip or xsel)');
+          console.log(url);
+        }
+      } else {
+        console.log(url);
+      }
+      return;
+    }
+
+    // 4. Check which items are still on the server
+    if (options.check) {
+      requireConfig(config);
+
+      if (!options.json) {
+        displayInfo('Checking items on the server...');
+      }
+
+      for (const entry of entries) {
+        // Deleted items, and other servers' items, are not checked
+        if (entry.action !== 'delete' && isCurrentServer(entry)) {
+          entry.exists = Boolean(await sftp.getRemoteItem(entry.remotePath));
+        }
+      }
+    }
+
+    // 5. Display entries
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+
+    if (entries.length === 0) {
+      displayWarning(query || options.action || since !== null ? 'No history entries match' : `No uploads recorded yet (${HISTORY_PATH})`);
+      return;
+    }
+
+    const columns = [
+      { label: '#', key: 'id', align: 'right' },
+      { label: 'Time', key: 'time' },
+      { label: 'Action', key: 'action' },
+      { label: 'Name', key: 'name' },
+      { label: 'Size', key: 'size', align: 'right' },
+      { label: 'Profile', key: 'profile' },
+      ...(options.check ? [{ label: 'On server', key: 'status' }] : []),
+      { label: 'URL', key: 'url' }
+    ];
+
+    displayTable(columns, entries.map(entry => ({
+      id: String(entry.id),
+      time: formatDateTime(entry.time),
+      action: getActionLabel(entry),
+      name: entry.name,
+      size: formatBytes(entry.size || 0),
+      profile: entry.profile,
+      status: getStatus(entry),
+      url: entry.url
+    })));
+
+    console.log(chalk.gray(`${entries.length} of ${matchCount} matching entries\n`));
+
+    const missing = entries.filter(entry => entry.exists === false);
+    if (missing.length > 0) {
+      displayWarning(`${missing.length} item(s) are no longer on the server (moved or deleted elsewhere)`);
+    }
+
+    console.log(chalk.gray('Re-print a URL with: fileshare history <#> --url (or --copy)\n'));
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * Action column text, e.g. "delete (trash)" or "delete (expired, trash)"
+ */
+function getActionLabel(entry) {
+  if (entry.action === 'delete') {
+    const notes = entry.expired ? ['expired'] : [];
+
+    if (!entry.permanent) {
+      notes.push('trash');
+    } else if (entry.trashId) {
+      notes.push('emptied from trash');
+    }
+
+    return notes.length > 0 ? `delete (${notes.join(', ')})` : 'delete';
+  }
+  if (entry.private) {
+    return `${entry.action} (private)`;
+  }
+  return entry.action;
+}
+
+/**
+ * "On server" column text for --check
+ */
+function getStatus(entry) {
+  if (entry.exists === undefined) return '-';
+  return entry.exists ? 'yes' : 'MISSING';
+}
+
+module.exports = historyCommand;
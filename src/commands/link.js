@@ -0,0 +1,101 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chalk = require('chalk');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displaySuccess, displayWarning, displayField, formatDateTime, formatExpiry } = require('../ui/display');
+const config = require('../utils/config');
+const { normalizeRemotePath } = require('../utils/paths');
+const { parseDuration } = require('../utils/duration');
+const { generateSecret, getSignedUrl } = require('../utils/signing');
+const sftp = require('../api/sftp');
+
+/**
+ * Link command - prints a download link that stops working after a time limit
+ * Links are checked by nginx's secure_link module, which only guards the
+ * SIGNED_LINK_DIR folder (see server/nginx/fileshare.conf)
+ * @param {string} name - File path relative to SERVER_DIRECTORY (or to SIGNED_LINK_DIR)
+ * @param {object} options - Command options (ttl)
+ */
+async function linkCommand(name, options = {}) {
+  try {
+    // 1. Check configuration
+    requireConfig(config);
+
+    // 2. Validate options
+    const ttl = parseDuration(options.ttl || '24h');
+    if (ttl === null) {
+      displayValidationError('--ttl must be a duration such as 30m, 24h or 7d');
+    }
+
+    let relativePath;
+    try {
+      relativePath = normalizeRemotePath(name);
+    } catch (error) {
+      displayValidationError(error.message);
+    }
+
+    // Names are looked up inside the protected folder
+    const signedDir = normalizeRemotePath(config.getConfig('SIGNED_LINK_DIR'));
+    if (relativePath !== signedDir && !relativePath.startsWith(`${signedDir}/`)) {
+      relativePath = `${signedDir}/${relativePath}`;
+    }
+
+    // 3. Check the file exists
+    const item = await sftp.getRemoteItem(relativePath);
+
+    if (!item) {
+      displayValidationError(`Not found on server: ${relativePath} (only files inside "${signedDir}/" can have expiring links; upload with --to ${signedDir})`);
+    }
+
+    if (item.type !== 'file') {
+      displayValidationError(`Expiring links can only point to files: ${relativePath}`);
+    }
+
+    // 4. Sign the link, creating the shared secret on first use
+    let secret = config.getConfig('SECURE_LINK_SECRET');
+
+    if (!secret) {
+      secret = generateSecret();
+      config.saveConfig('SECURE_LINK_SECRET', secret);
+
+      displayWarning('Generated a signing secret and saved it as SECURE_LINK_SECRET in your profile');
+      console.log('Links only work once the nginx configuration uses the same secret:');
+      console.log(chalk.gray(`  secure_link_md5 "$secure_link_expires$uri ${secret}";`));
+      console.log('');
+    }
+
+    const expiresAt = new Date(Date.now() + ttl);
+    const url = getSignedUrl(relativePath, expiresAt, secret);
+
+    // 5. Display result
+    console.log('');
+    displaySuccess(`Expiring link created: ${relativePath}`);
+    displayField('Expires', `${formatDateTime(expiresAt)} (${formatExpiry(expiresAt)})`);
+    console.log('');
+    console.log(chalk.cyan('Share this link:'));
+    console.log(chalk.bold(url));
+    console.log('');
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+module.exports = linkCommand;
@@ -0,0 +1,163 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chalk = require('chalk');
+const { minimatch } = require('minimatch');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displayInfo, displayWarning, displayTable, formatBytes, formatDateTime, formatExpiry } = require('../ui/display');
+const config = require('../utils/config');
+const { normalizeRemotePath, getPublicUrl } = require('../utils/paths');
+const sftp = require('../api/sftp');
+const manifest = require('../api/manifest');
+
+// Sort keys accepted by --sort
+const SORT_FIELDS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  size: (a, b) => a.size - b.size,
+  date: (a, b) => a.modifyTime - b.modifyTime
+};
+
+// Values accepted by --type
+const TYPE_ALIASES = {
+  file: 'file',
+  f: 'file',
+  directory: 'directory',
+  dir: 'directory',
+  d: 'directory'
+};
+
+/**
+ * List command - shows files on the server as a table or JSON
+ * @param {string} remotePath - Folder relative to SERVER_DIRECTORY (top level by default)
+ * @param {object} options - Command options (sort, reverse, filter, type, recursive, json)
+ */
+async function listCommand(remotePath, options = {}) {
+  try {
+    // 1. Check configuration
+    requireConfig(config);
+
+    // 2. Validate options
+    const sortField = options.sort || 'name';
+    if (!SORT_FIELDS[sortField]) {
+      displayValidationError(`--sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const type = options.type ? TYPE_ALIASES[options.type] : null;
+    if (options.type && !type) {
+      displayValidationError('--type must be "file" or "directory"');
+    }
+
+    let relativePath;
+    try {
+      relativePath = normalizeRemotePath(remotePath);
+    } catch (error) {
+      displayValidationError(error.message);
+    }
+
+    // 3. Load files from server
+    if (!options.json) {
+      displayInfo(`Loading files from ${relativePath ? `"${relativePath}/"` : 'server'}...`);
+    }
+
+    if (relativePath) {
+      const item = await sftp.getRemoteItem(relativePath);
+      if (!item || item.type !== 'directory') {
+        displayValidationError(`Not a folder on the server: ${relativePath}`);
+      }
+    }
+
+    // Private shares appear under their own names at the top level
+    const files = relativePath
+      ? await sftp.listFiles(relativePath, { recursive: options.recursive })
+      : await sftp.listFilesWithShares({ recursive: options.recursive });
+
+    // 4. Filter and sort
+    let entries = files;
+
+    if (options.filter) {
+      entries = entries.filter(entry => minimatch(entry.name, options.filter, { matchBase: true, dot: true }));
+    }
+
+    if (type) {
+      entries = entries.filter(entry => entry.type === type);
+    }
+
+    entries.sort(SORT_FIELDS[sortField]);
+    if (options.reverse) {
+      entries.reverse();
+    }
+
+    const expiries = await manifest.getExpiries();
+
+    entries = entries.map(entry => ({
+      ...entry,
+      url: getPublicUrl(entry.path),
+      expiresAt: expiries[entry.path] || null
+    }));
+
+    // 5. Display results
+    if (options.json) {
+      console.log(JSON.stringify(entries.map(entry => ({
+        name: entry.name,
+        path: entry.path,
+        type: entry.type,
+        size: entry.size,
+        modified: new Date(entry.modifyTime).toISOString(),
+        url: entry.url,
+        private: Boolean(entry.private),
+        expires: entry.expiresAt
+      })), null, 2));
+      return;
+    }
+
+    if (entries.length === 0) {
+      displayWarning('No files found');
+      return;
+    }
+
+    // Expiry column only when something on the server expires
+    const columns = [
+      { label: 'Name', key: 'name' },
+      { label: 'Size', key: 'size', align: 'right' },
+      { label: 'Modified', key: 'modified' },
+      ...(entries.some(entry => entry.expiresAt) ? [{ label: 'Expires', key: 'expires' }] : []),
+      { label: 'URL', key: 'url' }
+    ];
+
+    displayTable(
+      columns,
+      entries.map(entry => ({
+        name: (entry.type === 'directory' ? `${entry.name}/` : entry.name) + (entry.private ? ' (private)' : ''),
+        size: entry.type === 'file' ? formatBytes(entry.size) : '-',
+        modified: formatDateTime(entry.modifyTime),
+        expires: formatExpiry(entry.expiresAt),
+        url: entry.url
+      }))
+    );
+
+    const fileEntries = entries.filter(entry => entry.type === 'file');
+    const totalBytes = fileEntries.reduce((sum, entry) => sum + entry.size, 0);
+    console.log(chalk.gray(`${entries.length} item(s), ${fileEntries.length} file(s), ${formatBytes(totalBytes)}\n`));
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+module.exports = listCommand;
@@ -0,0 +1,163 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displaySuccess, displayWarning } = require('../ui/display');
+const { selectRemoteItem, textInput } = require('../ui/select');
+const config = require('../utils/config');
+const { normalizeRemotePath } = require('../utils/paths');
+const shares = require('../utils/shares');
+const sftp = require('../api/sftp');
+const manifest = require('../api/manifest');
+
+/**
+ * Move command - renames or moves files and folders within SERVER_DIRECTORY
+ *
+ * With two paths the source is renamed to the destination, unless the
+ * destination is an existing folder (or ends with "/"), which the source is
+ * moved into. Several sources always move into a folder.
+ * @param {string[]} paths - Sources followed by the destination (asked for when empty)
+ */
+async function moveCommand(paths = []) {
+  try {
+    // 1. Check configuration
+    requireConfig(config);
+
+    // 2. Resolve sources and destination from arguments, or ask for them
+    let sources;
+    let destination;
+
+    if (paths.length === 1) {
+      displayValidationError('Give a destination too: fileshare mv <source> <destination>');
+    }
+
+    if (paths.length > 1) {
+      sources = paths.slice(0, -1);
+      destination = paths[paths.length - 1];
+    } else {
+      const item = await selectRemoteItem(listFolder, 'Select a file or folder to move or rename:', 'move this folder');
+
+      if (!item) {
+        return;
+      }
+
+      sources = [item.path];
+      destination = await textInput('New path (end with "/" to move into a folder):', null, item.path);
+    }
+
+    const sourcePaths = sources.map(getRelativePath);
+    const destinationPath = getRelativePath(destination);
+
+    // 3. Work out where each item goes
+    const destinationItem = destinationPath ? await sftp.getRemoteItem(destinationPath) : null;
+    const intoFolder = !destinationPath || /[/\\]$/.test(destination) ||
+      Boolean(destinationItem && destinationItem.type === 'directory');
+
+    if (sourcePaths.length > 1 && !intoFolder) {
+      displayValidationError('Moving several items needs a folder as the destination (an existing folder, or a path ending in "/")');
+    }
+
+    const moves = [];
+
+    for (const sourcePath of sourcePaths) {
+      if (!sourcePath) {
+        displayValidationError('The server directory itself cannot be moved');
+      }
+
+      const item = await sftp.getRemoteItem(sourcePath);
+
+      if (!item) {
+        displayValidationError(`Not found on server: ${sourcePath}`);
+      }
+
+      const targetPath = intoFolder
+        ? [destinationPath, path.posix.basename(sourcePath)].filter(Boolean).join('/')
+        : destinationPath;
+
+      if (targetPath === sourcePath) {
+        displayValidationError(`"${sourcePath}" is already there`);
+      }
+
+      if (item.type === 'directory' && targetPath.startsWith(`${sourcePath}/`)) {
+        displayValidationError(`Cannot move folder "${sourcePath}" inside itself`);
+      }
+
+      if (await sftp.getRemoteItem(targetPath)) {
+        displayValidationError(`"${targetPath}" already exists on the server`);
+      }
+
+      moves.push({ from: sourcePath, to: targetPath });
+    }
+
+    // 4. Move items
+    const failed = [];
+
+    for (const move of moves) {
+      try {
+        const result = await sftp.moveItem(move.from, move.to);
+        await manifest.moveEntries(move.from, move.to);
+
+        displaySuccess(`Moved ${move.from} -> ${move.to}`);
+        console.log(chalk.cyan('Now at:'));
+        console.log(chalk.bold(result.url));
+        console.log('');
+      } catch (error) {
+        displayWarning(`Failed to move ${move.from}: ${error.message}`);
+        failed.push(move);
+      }
+    }
+
+    if (failed.length > 0) {
+      process.exit(failed.length < moves.length ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE);
+    }
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * List a folder for the remote browser, leaving out private shares
+ */
+async function listFolder(relativePath) {
+  const files = await sftp.listFiles(relativePath);
+  return relativePath ? files : files.filter(file => file.path !== shares.SHARES_DIR);
+}
+
+/**
+ * Normalize a command-line path, refusing paths that belong to private shares
+ */
+function getRelativePath(input) {
+  let relativePath;
+  try {
+    relativePath = normalizeRemotePath(input);
+  } catch (error) {
+    displayValidationError(error.message);
+  }
+
+  if (relativePath === shares.SHARES_DIR || relativePath.startsWith(`${shares.SHARES_DIR}/`)) {
+    displayValidationError(`"${shares.SHARES_DIR}/" holds private links, which cannot be moved`);
+  }
+
+  return relativePath;
+}
+
+module.exports = moveCommand;
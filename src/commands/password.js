@@ -15,42 +15,265 @@
  */
 
 const chalk = require('chalk');
-const { displayError, requireConfig } = require('../utils/errors');
-const { displayInfo, displayWarning } = require('../ui/display');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displayInfo, displaySuccess, displayWarning, displayField } = require('../ui/display');
+const { textInput, passwordInput, confirm } = require('../ui/select');
 const config = require('../utils/config');
+const { hashPassword, validateUsername } = require('../utils/htpasswd');
+const auth = require('../api/auth');
+const sftp = require('../api/sftp');
 
 /**
- * Password command - sets password protection for downloads
+ * Password command - manages password protection for downloads
  *
- * NOTE: This feature requires NGINX configuration on the server side.
- * For now, this is a placeholder that explains the feature.
- *
- * To implement password protection:
- * 1. Configure NGINX with HTTP Basic Authentication
- * 2. Create .htpasswd file in the server directory
- * 3. Update NGINX config to require authentication
+ * Users are stored in the htpasswd file on the server (HTPASSWD_PATH) and
+ * written over SFTP. Enabling or disabling protection edits the nginx site
+ * configuration (NGINX_CONF_PATH) and then reloads nginx as a separate step.
+ * @param {string} action - 'status', 'list', 'enable', 'disable', 'add', 'remove' or 'change'
+ * @param {string} username - User to add, remove or change
+ * @param {object} options - Command options (reload, yes)
  */
-async function passwordCommand(options = {}) {
+async function passwordCommand(action = 'status', username = null, options = {}) {
   try {
-    // Check configuration
+    // 1. Check configuration
     requireConfig(config);
 
-    console.log(chalk.cyan('\n=== Password Protection ===\n'));
+    if (username !== null) {
+      const valid = validateUsername(username);
+      if (valid !== true) {
+        displayValidationError(valid);
+      }
+    }
+
+    // 2. Run action
+    switch (action) {
+      case 'status':
+        await showStatus();
+        break;
+
+      case 'list':
+        await listUsers();
+        break;
 
-    displayWarning('Password protection feature is not yet implemented');
+      case 'enable':
+        await enableProtection(options);
+        break;
 
-    console.log('This feature requires server-side NGINX configuration.');
-    console.log('To enable password protection for downloads:\n');
-    console.log(chalk.gray('1.'), 'Configure NGINX with HTTP Basic Authentication');
-    console.log(chalk.gray('2.'), 'Create .htpasswd file on the server');
-    console.log(chalk.gray('3.'), 'Update NGINX ingress rules\n');
+      case 'disable':
+        await disableProtection(options);
+        break;
 
-    console.log('For more information, see the documentation or');
-    console.log('contact your system administrator.\n');
+      case 'add':
+        await addUser(username);
+        break;
+
+      case 'remove':
+        await removeUser(username, options);
+        break;
+
+      case 'change':
+        await changePassword(username);
+        break;
+    }
 
   } catch (error) {
     displayError(error);
-    process.exit(1);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * Show whether protection is on and who can log in
+ */
+async function showStatus() {
+  displayInfo('Checking password protection...');
+
+  const enabled = await auth.isAuthEnabled();
+  const users = await auth.getUsers();
+
+  console.log(chalk.cyan('\n=== Password Protection ===\n'));
+  displayField('Status', enabled ? chalk.green('Enabled') : chalk.yellow('Disabled'));
+  displayField('Users', users.length > 0 ? users.map(u => u.username).join(', ') : chalk.gray('None'));
+  displayField('Password File', config.getConfig('HTPASSWD_PATH'));
+  console.log('');
+
+  if (enabled && users.length === 0) {
+    displayWarning('Protection is enabled but no users exist, so nobody can download. Add one with "fileshare password add <username>"');
+  }
+}
+
+/**
+ * List users in the password file
+ */
+async function listUsers() {
+  const users = await auth.getUsers();
+
+  if (users.length === 0) {
+    displayWarning('No users configured');
+    return;
+  }
+
+  console.log('');
+  users.forEach(user => {
+    console.log(chalk.gray('  - ') + user.username);
+  });
+  console.log('');
+}
+
+/**
+ * Turn protection on, creating a first user when none exist
+ */
+async function enableProtection(options) {
+  const users = await auth.getUsers();
+
+  if (users.length === 0) {
+    displayInfo('No users yet. Create the first one:');
+
+    const username = await textInput('Username:', validateUsername);
+    const password = await promptNewPassword(username);
+
+    await auth.saveUsers([{ username, hash: hashPassword(password) }]);
+    displaySuccess(`User "${username}" added`);
+  }
+
+  await updateNginxConfig(true, options);
+}
+
+/**
+ * Turn protection off (users are kept for re-enabling later)
+ */
+async function disableProtection(options) {
+  await updateNginxConfig(false, options);
+}
+
+/**
+ * Edit the nginx configuration, then reload nginx as its own step
+ */
+async function updateNginxConfig(enabled, options) {
+  const state = enabled ? 'enabled' : 'disabled';
+
+  // Step 1: configuration file
+  displayInfo(`Updating nginx configuration (${config.getConfig('NGINX_CONF_PATH')})...`);
+
+  const changed = await auth.setAuthEnabled(enabled);
+
+  if (!changed) {
+    displaySuccess(`Password protection is already ${state}`);
+    return;
+  }
+
+  displaySuccess(`nginx configuration updated: password protection ${state}`);
+
+  // Step 2: reload
+  const reloadCommand = config.getConfig('NGINX_RELOAD_COMMAND');
+
+  if (options.reload === false) {
+    displayWarning(`nginx was not reloaded. The change takes effect after running on the server: ${reloadCommand}`);
+    return;
+  }
+
+  displayInfo(`Reloading nginx (${reloadCommand})...`);
+
+  const result = await auth.reloadNginx();
+
+  if (!result.success) {
+    displayWarning('nginx reload failed. The configuration file was changed but is not active yet');
+    if (result.output) {
+      console.log(chalk.gray(result.output) + '\n');
+    }
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  displaySuccess(`nginx reloaded: password protection is now ${state}`);
+}
+
+/**
+ * Add a user to the password file
+ */
+async function addUser(username) {
+  const users = await auth.getUsers();
+
+  if (users.some(u => u.username === username)) {
+    displayValidationError(`User "${username}" already exists (use "fileshare password change ${username}")`);
+  }
+
+  const password = await promptNewPassword(username);
+
+  await auth.saveUsers([...users, { username, hash: hashPassword(password) }]);
+  displaySuccess(`User "${username}" added`);
+}
+
+/**
+ * Remove a user from the password file
+ */
+async function removeUser(username, options) {
+  const users = await auth.getUsers();
+
+  if (!users.some(u => u.username === username)) {
+    displayValidationError(`User "${username}" does not exist`);
+  }
+
+  const remaining = users.filter(u => u.username !== username);
+
+  if (!options.yes) {
+    const lastUser = remaining.length === 0 && await auth.isAuthEnabled();
+    const message = lastUser
+      ? `"${username}" is the last user. Nobody will be able to download while protection is enabled. Remove anyway?`
+      : `Remove user "${username}"?`;
+
+    if (!(await confirm(message))) {
+      console.log(chalk.yellow('\n[!] Removal cancelled\n'));
+      return;
+    }
+  }
+
+  await auth.saveUsers(remaining);
+  displaySuccess(`User "${username}" removed`);
+}
+
+/**
+ * Set a new password for an existing user
+ */
+async function changePassword(username) {
+  const users = await auth.getUsers();
+  const user = users.find(u => u.username === username);
+
+  if (!user) {
+    displayValidationError(`User "${username}" does not exist (use "fileshare password add ${username}")`);
+  }
+
+  const password = await promptNewPassword(username);
+  user.hash = hashPassword(password);
+
+  await auth.saveUsers(users);
+  displaySuccess(`Password changed for "${username}"`);
+}
+
+/**
+ * Ask for a new password twice until both entries match
+ */
+async function promptNewPassword(username) {
+  if (!process.stdin.isTTY) {
+    displayValidationError('Passwords can only be entered in an interactive terminal');
+  }
+
+  while (true) {
+    const password = await passwordInput(`New password for ${username}:`);
+
+    if (password.length === 0) {
+      displayWarning('Password cannot be empty');
+      continue;
+    }
+
+    const repeated = await passwordInput('Repeat password:');
+
+    if (password === repeated) {
+      return password;
+    }
+
+    displayWarning('Passwords do not match, try again');
   }
 }
 
@@ -0,0 +1,223 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chalk = require('chalk');
+const { EXIT_CODES, displayError, displayValidationError } = require('../utils/errors');
+const { displaySuccess, displayWarning, displayInfo, displayTable } = require('../ui/display');
+const { textInput, confirm } = require('../ui/select');
+const config = require('../utils/config');
+const { validatePublicBaseUrl } = require('../utils/paths');
+
+// Values asked for when adding a profile: [config key, option name, prompt]
+const PROFILE_FIELDS = [
+  ['SERVER_HOST', 'host', 'Server host:'],
+  ['SERVER_PORT', 'port', 'Server port:'],
+  ['SERVER_USER', 'user', 'Server user:'],
+  ['SERVER_DIRECTORY', 'dir', 'Server directory:'],
+  ['PUBLIC_BASE_URL', 'url', 'Public URL:'],
+  ['SSH_KEY_NAME', 'key', 'SSH key name (in ~/.ssh):']
+];
+
+/**
+ * Profile command - manage named server profiles
+ * @param {string} action - 'list', 'add', 'use' or 'remove'
+ * @param {string} name - Profile name (all actions except list)
+ * @param {object} options - Command options (host, port, user, dir, url, key for add; yes for remove)
+ */
+async function profileCommand(action, name, options = {}) {
+  try {
+    if (action !== 'list') {
+      const valid = config.validateProfileName(name);
+      if (valid !== true) {
+        displayValidationError(valid);
+      }
+    }
+
+    switch (action) {
+      case 'list':
+        listProfiles();
+        break;
+
+      case 'add':
+        await addProfile(name, options);
+        break;
+
+      case 'use':
+        useProfile(name);
+        break;
+
+      case 'remove':
+        await removeProfile(name, options);
+        break;
+    }
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  }
+}
+
+/**
+ * Show every saved profile, marking the one in use
+ */
+function listProfiles() {
+  const profiles = config.listProfiles();
+  const active = config.getActiveProfile();
+
+  if (profiles.length === 0) {
+    displayWarning('No profiles saved yet. Run "fileshare setup" or "fileshare profile add <name>"');
+    return;
+  }
+
+  displayTable(
+    [
+      { label: '  Profile', key: 'name' },
+      { label: 'Host', key: 'host' },
+      { label: 'Port', key: 'port', align: 'right' },
+      { label: 'User', key: 'user' },
+      { label: 'Directory', key: 'dir' }
+    ],
+    profiles.map(profile => ({
+      name: `${profile === active.name ? '*' : ' '} ${profile}`,
+      host: config.getProfileValue(profile, 'SERVER_HOST'),
+      port: config.getProfileValue(profile, 'SERVER_PORT'),
+      user: config.getProfileValue(profile, 'SERVER_USER'),
+      dir: config.getProfileValue(profile, 'SERVER_DIRECTORY')
+    }))
+  );
+
+  const sources = {
+    flag: ' (from --profile)',
+    env: ' (from FILESHARE_PROFILE)'
+  };
+  console.log(chalk.gray(`Active profile: ${active.name}${sources[active.source] || ''}\n`));
+}
+
+/**
+ * Create a profile from options, asking for anything not given
+ */
+async function addProfile(name, options) {
+  if (config.profileExists(name)) {
+    displayValidationError(`Profile "${name}" already exists (edit it with "fileshare setup --profile ${name}")`);
+  }
+
+  const interactive = Boolean(process.stdin.isTTY);
+  const values = {};
+
+  for (const [key, option, message] of PROFILE_FIELDS) {
+    if (options[option] !== undefined) {
+      values[key] = String(options[option]);
+    } else if (interactive) {
+      values[key] = await textInput(message, validateField(key), config.DEFAULTS[key]);
+    } else if (key === 'SERVER_HOST') {
+      displayValidationError('--host is required when not running interactively');
+    } else if (key === 'PUBLIC_BASE_URL') {
+      displayValidationError('--url is required when not running interactively');
+    }
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    const valid = validateField(key)(value);
+    if (valid !== true) {
+      displayValidationError(valid);
+    }
+  }
+
+  const isFirst = config.listProfiles().length === 0;
+  config.addProfile(name, values);
+
+  displaySuccess(`Profile "${name}" added`);
+
+  if (isFirst) {
+    config.useProfile(name);
+    displayInfo(`"${name}" is now the active profile`);
+  } else {
+    console.log(chalk.gray(`Switch to it with: fileshare profile use ${name}\n`));
+  }
+}
+
+/**
+ * Validator for a single profile value
+ */
+function validateField(key) {
+  return (input) => {
+    if (input.length === 0) return 'Value cannot be empty';
+
+    if (key === 'SERVER_PORT') {
+      const port = parseInt(input);
+      if (isNaN(port) || port < 1 || port > 65535) {
+        return 'Port must be a number between 1 and 65535';
+      }
+    }
+
+    if (key === 'SERVER_DIRECTORY' && !input.startsWith('/')) {
+      return 'Server directory must be absolute (start with /)';
+    }
+
+    if (key === 'PUBLIC_BASE_URL') {
+      return validatePublicBaseUrl(input);
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Make a profile the default for future commands
+ */
+function useProfile(name) {
+  requireProfile(name);
+
+  config.useProfile(name);
+  displaySuccess(`Now using profile "${name}" (${config.getProfileValue(name, 'SERVER_HOST')})`);
+
+  if (process.env.FILESHARE_PROFILE && process.env.FILESHARE_PROFILE !== name) {
+    displayWarning(`FILESHARE_PROFILE is set to "${process.env.FILESHARE_PROFILE}" and still takes precedence in this shell`);
+  }
+}
+
+/**
+ * Delete a saved profile
+ */
+async function removeProfile(name, options) {
+  requireProfile(name);
+
+  if (name === config.getSavedProfile()) {
+    displayValidationError(`"${name}" is the active profile. Switch to another one with "fileshare profile use <name>" first`);
+  }
+
+  if (!options.yes) {
+    const confirmed = await confirm(`Remove profile "${name}" (${config.getProfileValue(name, 'SERVER_HOST')})?`);
+    if (!confirmed) {
+      console.log(chalk.yellow('\n[!] Removal cancelled\n'));
+      return;
+    }
+  }
+
+  config.removeProfile(name);
+  displaySuccess(`Profile "${name}" removed`);
+}
+
+/**
+ * Exit with a validation error when a profile has not been saved
+ */
+function requireProfile(name) {
+  if (!config.profileExists(name)) {
+    displayValidationError(`Profile "${name}" does not exist (see "fileshare profile list")`);
+  }
+}
+
+module.exports = profileCommand;
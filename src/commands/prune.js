@@ -0,0 +1,180 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chalk = require('chalk');
+const { EXIT_CODES, displayError, requireConfig } = require('../utils/errors');
+const { displayInfo, displaySuccess, displayWarning, formatBytes, formatExpiry } = require('../ui/display');
+const { confirm } = require('../ui/select');
+const config = require('../utils/config');
+const shares = require('../utils/shares');
+const { getPublicUrl } = require('../utils/paths');
+const { recordHistory } = require('../utils/history');
+const sftp = require('../api/sftp');
+const manifest = require('../api/manifest');
+const trash = require('../api/trash');
+
+/**
+ * Prune command - moves uploads whose expiry time has passed to the trash
+ * @param {object} options - Command options (dryRun, permanent, yes)
+ */
+async function pruneCommand(options = {}) {
+  try {
+    // 1. Check configuration
+    requireConfig(config);
+
+    // 2. Find expired items
+    displayInfo('Checking for expired uploads...');
+
+    const now = Date.now();
+    const expiries = await manifest.getExpiries();
+    const expiredPaths = Object.keys(expiries).filter(key => new Date(expiries[key]).getTime() <= now);
+
+    if (expiredPaths.length === 0) {
+      displaySuccess('Nothing has expired');
+      return;
+    }
+
+    const found = await Promise.all(expiredPaths.map(key => sftp.getRemoteItem(key)));
+    const items = expiredPaths
+      .map((key, index) => found[index] && describeItem(found[index], expiries[key]))
+      .filter(Boolean);
+
+    // Entries for items already deleted by other means
+    const missing = expiredPaths.filter((key, index) => !found[index]);
+
+    if (items.length === 0) {
+      if (!options.dryRun) {
+        await manifest.removeEntries(missing);
+      }
+      displaySuccess('Nothing has expired');
+      return;
+    }
+
+    // 3. Display expired items
+    console.log(chalk.cyan(`\nExpired uploads (${items.length}):\n`));
+    items.forEach(item => {
+      const sizeStr = item.type === 'file' ? ` (${formatBytes(item.size)})` : '';
+      console.log(`  - ${item.label}${sizeStr} ${chalk.gray(formatExpiry(item.expiresAt))}`);
+    });
+    console.log('');
+
+    if (options.dryRun) {
+      displayInfo('Dry run: nothing was deleted');
+      return;
+    }
+
+    // 4. Confirm deletion
+    if (!options.yes) {
+      const confirmed = await confirm(options.permanent
+        ? `Permanently delete ${items.length} expired item(s)?`
+        : `Move ${items.length} expired item(s) to the trash?`);
+
+      if (!confirmed) {
+        console.log(chalk.yellow('\n[!] Prune cancelled\n'));
+        return;
+      }
+    }
+
+    // 5. Delete expired items
+    displayInfo(`Deleting ${items.length} item(s)...`);
+
+    const sizes = await Promise.all(items.map(async item => (
+      item.type === 'directory' ? (await sftp.getRemoteTree(item.path)).totalBytes : item.size
+    )));
+
+    const results = options.permanent
+      ? await sftp.deleteMultipleFiles(items.map(item => item.target))
+      : await trash.trashItems(items.map((item, index) => ({
+        path: item.target,
+        type: item.token ? 'directory' : item.type,
+        size: sizes[index],
+        share: item.share ? { token: item.share.token, name: item.share.name, type: item.share.type } : null
+      })));
+
+    results.forEach((result, index) => {
+      if (!result.success) {
+        return;
+      }
+
+      recordHistory({
+        action: 'delete',
+        remotePath: items[index].target,
+        name: items[index].share ? items[index].share.name : undefined,
+        size: sizes[index],
+        url: getPublicUrl(items[index].path),
+        expired: true,
+        ...(result.entry ? { trashId: result.entry.id } : { permanent: true })
+      });
+    });
+
+    const deleted = items.filter((item, index) => results[index].success);
+    const failed = results
+      .map((result, index) => ({ ...result, label: items[index].label }))
+      .filter(result => !result.success);
+
+    deleted.filter(item => item.token).forEach(item => shares.removeShare(item.token));
+    await manifest.removeEntries([...deleted.map(item => item.target), ...missing]);
+
+    // 6. Display results
+    if (deleted.length > 0) {
+      displaySuccess(options.permanent
+        ? `Deleted ${deleted.length} expired item(s)`
+        : `Moved ${deleted.length} expired item(s) to the trash`);
+      deleted.forEach(item => {
+        console.log(chalk.gray('  - ') + item.label);
+      });
+      console.log('');
+
+      if (!options.permanent) {
+        console.log(chalk.gray('Undo with: fileshare restore <id>, see "fileshare trash list"\n'));
+      }
+    }
+
+    if (failed.length > 0) {
+      displayWarning(`Failed to delete ${failed.length} item(s)`);
+      failed.forEach(result => {
+        console.log(chalk.red('  - ') + result.label + chalk.gray(` (${result.error})`));
+      });
+      console.log('');
+      process.exit(deleted.length > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE);
+    }
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * Work out what to delete for an expired item and how to show it
+ * Private shares are shown by name and deleted with their token folder
+ */
+function describeItem(item, expiresAt) {
+  const share = shares.getShares().find(record => shares.getSharePath(record) === item.path);
+
+  return {
+    ...item,
+    expiresAt,
+    label: share ? `${share.name} (private)` : item.path,
+    target: share ? `${shares.SHARES_DIR}/${share.token}` : item.path,
+    token: share ? share.token : null,
+    share
+  };
+}
+
+module.exports = pruneCommand;
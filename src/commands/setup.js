@@ -20,8 +20,11 @@ const path = require('path');
 const os = require('os');
 const { displayError } = require('../utils/errors');
 const { displayInfo, displaySuccess, displayField, displaySeparator } = require('../ui/display');
-const { textInput, selectAction, confirm } = require('../ui/select');
+const { select, textInput, selectAction, confirm } = require('../ui/select');
 const config = require('../utils/config');
+const { validatePublicBaseUrl } = require('../utils/paths');
+const { parseDuration } = require('../utils/duration');
+const { generateSecret, validateSecret } = require('../utils/signing');
 const sftp = require('../api/sftp');
 
 /**
@@ -29,12 +32,15 @@ const sftp = require('../api/sftp');
  */
 async function setupCommand(options = {}) {
   try {
-    console.log(chalk.cyan('\n=== Fileshare Configuration ===\n'));
+    const profile = config.getActiveProfile();
+
+    console.log(chalk.cyan(`\n=== Fileshare Configuration (profile: ${profile.name}) ===\n`));
 
     // Display current configuration
     const currentConfig = config.getAllConfig();
 
     console.log(chalk.bold('Current Configuration:\n'));
+    displayField('Profile', profile.name);
     displayField('SSH Key Name', currentConfig.sshKeyName);
     displayField('SSH Key Path', currentConfig.sshKeyPath);
     displayField('Key Exists', fs.existsSync(currentConfig.sshKeyPath) ? chalk.green('Yes') : chalk.red('No'));
@@ -42,7 +48,12 @@ async function setupCommand(options = {}) {
     displayField('Server User', currentConfig.serverUser);
     displayField('Server Port', currentConfig.serverPort);
     displayField('Server Directory', currentConfig.serverDirectory);
-    displayField('Config Location', config.ENV_PATH);
+    displayField('Public URL', currentConfig.publicBaseUrl || chalk.red('Not set'));
+    displayField('Upload Jobs', currentConfig.uploadJobs);
+    displayField('On Conflict', currentConfig.onConflict);
+    displayField('Default Expiry', currentConfig.defaultExpiry);
+    displayField('Link Secret', config.getConfig('SECURE_LINK_SECRET') ? 'Set' : 'Not set');
+    displayField('Config Location', config.getProfilePath());
     console.log('');
 
     // Action menu
@@ -51,6 +62,11 @@ async function setupCommand(options = {}) {
       { label: 'Change server directory', value: 'server_dir' },
       { label: 'Change server host', value: 'server_host' },
       { label: 'Change server port', value: 'server_port' },
+      { label: 'Change public URL', value: 'public_url' },
+      { label: 'Change parallel upload jobs', value: 'upload_jobs' },
+      { label: 'Change default action for existing names', value: 'on_conflict' },
+      { label: 'Change default upload expiry', value: 'default_expiry' },
+      { label: 'Set signed link secret', value: 'link_secret' },
       { label: 'Test connection', value: 'test' },
       { label: 'Return to terminal', value: 'exit' }
     ]);
@@ -72,6 +88,26 @@ async function setupCommand(options = {}) {
         await changeServerPort();
         break;
 
+      case 'public_url':
+        await changePublicUrl();
+        break;
+
+      case 'upload_jobs':
+        await changeUploadJobs();
+        break;
+
+      case 'on_conflict':
+        await changeOnConflict();
+        break;
+
+      case 'default_expiry':
+        await changeDefaultExpiry();
+        break;
+
+      case 'link_secret':
+        await changeLinkSecret();
+        break;
+
       case 'test':
         await testServerConnection();
         break;
@@ -83,6 +119,8 @@ async function setupCommand(options = {}) {
   } catch (error) {
     displayError(error);
     process.exit(1);
+  } finally {
+    await sftp.disconnect();
   }
 }
 
@@ -193,6 +231,130 @@ async function changeServerPort() {
   displaySuccess(`Server port updated to: ${newPort}`);
 }
 
+/**
+ * Change the public address links are built from
+ */
+async function changePublicUrl() {
+  console.log(chalk.cyan('\n=== Change Public URL ===\n'));
+
+  const currentUrl = config.getConfig('PUBLIC_BASE_URL');
+  console.log(chalk.gray('Current:'), currentUrl || 'Not set');
+  console.log(chalk.gray('This is the address where the server directory is served (see server/README.md)'));
+  console.log('');
+
+  const newUrl = await textInput(
+    'Enter new public URL:',
+    validatePublicBaseUrl
+  );
+
+  const trimmedUrl = newUrl.replace(/\/+$/, '');
+
+  config.saveConfig('PUBLIC_BASE_URL', trimmedUrl);
+  displaySuccess(`Public URL updated to: ${trimmedUrl}`);
+}
+
+/**
+ * Change number of files uploaded at once
+ */
+async function changeUploadJobs() {
+  console.log(chalk.cyan('\n=== Change Parallel Upload Jobs ===\n'));
+
+  const currentJobs = config.getConfig('UPLOAD_JOBS');
+  console.log(chalk.gray('Current:'), currentJobs);
+  console.log('');
+
+  const newJobs = await textInput(
+    'Enter number of files to upload at once:',
+    (input) => {
+      const jobs = parseInt(input);
+      if (isNaN(jobs) || jobs < 1 || jobs > sftp.MAX_JOBS) {
+        return `Jobs must be a number between 1 and ${sftp.MAX_JOBS}`;
+      }
+      return true;
+    }
+  );
+
+  config.saveConfig('UPLOAD_JOBS', newJobs);
+  displaySuccess(`Parallel upload jobs updated to: ${newJobs}`);
+}
+
+/**
+ * Change what uploads do when the name already exists on the server
+ */
+async function changeOnConflict() {
+  console.log(chalk.cyan('\n=== Change Default Conflict Action ===\n'));
+
+  const current = config.getConfig('ON_CONFLICT');
+  console.log(chalk.gray('Current:'), current);
+  console.log('');
+
+  const descriptions = {
+    ask: 'Ask every time',
+    overwrite: 'Overwrite the existing item',
+    skip: 'Skip the upload',
+    rename: 'Upload under a numbered name, e.g. "report (2).pdf"',
+    fail: 'Stop with an error'
+  };
+
+  const newMode = await select(
+    'When an upload\'s name already exists on the server:',
+    config.CONFLICT_MODES.map(mode => ({ name: descriptions[mode], value: mode }))
+  );
+
+  config.saveConfig('ON_CONFLICT', newMode);
+  displaySuccess(`Default conflict action updated to: ${newMode}`);
+}
+
+/**
+ * Change how long uploads are kept when --expires is not given
+ */
+async function changeDefaultExpiry() {
+  console.log(chalk.cyan('\n=== Change Default Upload Expiry ===\n'));
+
+  const current = config.getConfig('DEFAULT_EXPIRY');
+  console.log(chalk.gray('Current:'), current);
+  console.log(chalk.gray('Expired uploads are deleted by "fileshare prune"'));
+  console.log('');
+
+  const newExpiry = await textInput(
+    'Keep uploads for (e.g. 7d, 24h, 2w) or "never":',
+    (input) => {
+      if (input.trim().toLowerCase() === 'never' || parseDuration(input) !== null) {
+        return true;
+      }
+      return 'Enter a duration such as 7d, 24h or 2w, or "never"';
+    }
+  );
+
+  const value = newExpiry.trim().toLowerCase();
+
+  config.saveConfig('DEFAULT_EXPIRY', value);
+  displaySuccess(`Default upload expiry updated to: ${value}`);
+}
+
+/**
+ * Set the secret shared with nginx for signed links
+ */
+async function changeLinkSecret() {
+  console.log(chalk.cyan('\n=== Set Signed Link Secret ===\n'));
+
+  console.log(chalk.gray('Used by "fileshare link". It must match secure_link_md5 in the nginx configuration.'));
+  console.log('');
+
+  const input = await textInput(
+    'Enter secret (leave empty to generate one):',
+    (value) => value.length === 0 || validateSecret(value)
+  );
+
+  const secret = input || generateSecret();
+
+  config.saveConfig('SECURE_LINK_SECRET', secret);
+  displaySuccess('Signed link secret saved');
+  console.log('Use this line in the nginx configuration:');
+  console.log(chalk.gray(`  secure_link_md5 "$secure_link_expires$uri ${secret}";`));
+  console.log('');
+}
+
 /**
  * Test server connection
  */
@@ -0,0 +1,250 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displayInfo, displaySuccess, displayWarning, createProgressDisplay, formatBytes } = require('../ui/display');
+const { confirm } = require('../ui/select');
+const config = require('../utils/config');
+const { normalizeRemotePath, getPublicUrl } = require('../utils/paths');
+const { walkLocalTree } = require('../utils/files');
+const { createIgnoreFilter } = require('../utils/ignore');
+const { planSync } = require('../utils/sync');
+const { recordHistory } = require('../utils/history');
+const shares = require('../utils/shares');
+const sftp = require('../api/sftp');
+const manifest = require('../api/manifest');
+const trash = require('../api/trash');
+
+// Plan lines shown per kind of change before the rest are summarized
+const MAX_PLAN_LINES = 20;
+
+/**
+ * Sync command - mirrors a local folder to a folder on the server, sending
+ * only new and changed files
+ * @param {string} localPath - Local folder
+ * @param {string} remotePath - Folder relative to SERVER_DIRECTORY (default: the local folder's name)
+ * @param {object} options - Command options (checksum, delete, dryRun, yes, jobs, verify, exclude, include, gitignore)
+ */
+async function syncCommand(localPath, remotePath, options = {}) {
+  try {
+    // 1. Check configuration
+    requireConfig(config);
+
+    // 2. Validate arguments and options
+    const localRoot = path.resolve(localPath);
+
+    if (!fs.existsSync(localRoot) || !fs.statSync(localRoot).isDirectory()) {
+      displayValidationError(`Not a local folder: ${localPath}`);
+    }
+
+    let remoteRoot;
+    try {
+      remoteRoot = normalizeRemotePath(remotePath || path.basename(localRoot));
+    } catch (error) {
+      displayValidationError(error.message);
+    }
+
+    if (!remoteRoot) {
+      displayValidationError('Sync into a folder inside the server directory, not the server directory itself');
+    }
+
+    if (remoteRoot === shares.SHARES_DIR || remoteRoot.startsWith(`${shares.SHARES_DIR}/`)) {
+      displayValidationError(`"${shares.SHARES_DIR}/" is reserved for private links`);
+    }
+
+    if (options.jobs !== undefined) {
+      const jobs = parseInt(options.jobs);
+      if (isNaN(jobs) || jobs < 1 || jobs > sftp.MAX_JOBS) {
+        displayValidationError(`--jobs must be a number between 1 and ${sftp.MAX_JOBS}`);
+      }
+      sftp.setMaxConnections(jobs);
+    }
+
+    // 3. Compare local and remote trees
+    displayInfo(`Comparing ${localRoot} with "${remoteRoot}/" on the server...`);
+
+    const ignore = createIgnoreFilter(localRoot, { gitignore: options.gitignore, exclude: options.exclude, include: options.include });
+    const localTree = walkLocalTree(localRoot, { ignore });
+
+    const remoteItem = await sftp.getRemoteItem(remoteRoot);
+    if (remoteItem && remoteItem.type !== 'directory') {
+      displayValidationError(`"${remoteRoot}" is a file on the server, not a folder`);
+    }
+
+    const remoteTree = remoteItem
+      ? await sftp.getRemoteTree(remoteRoot)
+      : { files: [], directories: [], totalBytes: 0 };
+
+    const plan = await planSync(localTree, remoteTree, {
+      compareContent: options.checksum
+        ? file => sftp.matchesRemoteFile(file.path, `${remoteRoot}/${file.relativePath}`)
+        : null,
+      // Paths excluded locally are left alone on the server
+      isProtected: (relativePath, isDirectory) => isIgnored(ignore, relativePath, isDirectory)
+    });
+
+    const deletions = options.delete ? plan.deletions : [];
+
+    // 4. Display the plan
+    displayPlan(plan, deletions, remoteRoot);
+
+    if (plan.uploads.length === 0 && deletions.length === 0) {
+      displaySuccess(`"${remoteRoot}/" is already up to date`);
+      return;
+    }
+
+    if (options.dryRun) {
+      displayInfo('Dry run: nothing was changed');
+      return;
+    }
+
+    // 5. Confirm
+    if (!options.yes) {
+      const confirmed = await confirm(deletions.length > 0
+        ? `Upload ${plan.uploads.length} file(s) and delete ${deletions.length} item(s) on the server?`
+        : `Upload ${plan.uploads.length} file(s)?`);
+
+      if (!confirmed) {
+        console.log(chalk.yellow('\n[!] Sync cancelled\n'));
+        return;
+      }
+    }
+
+    // 6. Upload new and changed files, keeping local modification times
+    // so the next sync can compare them
+    let failedFiles = [];
+
+    if (plan.uploads.length > 0) {
+      const result = await sftp.uploadFolder(localRoot, path.posix.basename(remoteRoot), createProgressDisplay(), {
+        remoteSubdir: path.posix.dirname(remoteRoot) === '.' ? '' : path.posix.dirname(remoteRoot),
+        tree: {
+          files: plan.uploads,
+          directories: localTree.directories,
+          totalBytes: plan.uploads.reduce((sum, file) => sum + file.size, 0)
+        },
+        verify: options.verify !== false,
+        preserveTimes: true
+      });
+
+      console.log(''); // New line after progress
+      failedFiles = result.failedFiles;
+    }
+
+    // 7. Move remote-only items to the trash
+    let failedDeletions = [];
+
+    if (deletions.length > 0) {
+      displayInfo(`Moving ${deletions.length} item(s) to the trash...`);
+
+      const results = await trash.trashItems(deletions.map(item => ({
+        path: `${remoteRoot}/${item.relativePath}`,
+        type: item.type,
+        size: item.size
+      })));
+
+      await manifest.removeEntries(results.filter(result => result.success).map(result => result.path));
+      failedDeletions = results.filter(result => !result.success);
+    }
+
+    // 8. Display results
+    const uploaded = plan.uploads.length - failedFiles.length;
+    const deleted = deletions.length - failedDeletions.length;
+    const failedPaths = new Set(failedFiles.map(f => f.relativePath));
+
+    recordHistory({
+      action: 'sync',
+      localPath: localRoot,
+      remotePath: remoteRoot,
+      size: plan.uploads.filter(file => !failedPaths.has(file.relativePath)).reduce((sum, file) => sum + file.size, 0),
+      url: getPublicUrl(remoteRoot),
+      uploaded,
+      deleted
+    });
+
+    displaySuccess(`Synced "${remoteRoot}/": ${uploaded} file(s) uploaded, ${deleted} item(s) moved to the trash, ${plan.unchanged} unchanged`);
+    console.log(chalk.cyan('Access your files at:'));
+    console.log(chalk.bold(getPublicUrl(remoteRoot)));
+    console.log('');
+
+    if (failedFiles.length > 0 || failedDeletions.length > 0) {
+      displayWarning(`${failedFiles.length + failedDeletions.length} change(s) failed`);
+      failedFiles.forEach(f => {
+        console.log(chalk.red('  - ') + f.relativePath + chalk.gray(` (${f.error})`));
+      });
+      failedDeletions.forEach(f => {
+        console.log(chalk.red('  - ') + f.path + chalk.gray(` (${f.error})`));
+      });
+      console.log('');
+      process.exit(EXIT_CODES.PARTIAL_FAILURE);
+    }
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * Check whether a path, or a folder above it, is excluded by ignore rules
+ */
+function isIgnored(ignore, relativePath, isDirectory) {
+  const segments = relativePath.split('/');
+
+  return segments.some((segment, index) => ignore(
+    segments.slice(0, index + 1).join('/'),
+    index < segments.length - 1 || isDirectory
+  ));
+}
+
+/**
+ * Show what the sync will upload and delete
+ */
+function displayPlan(plan, deletions, remoteRoot) {
+  const uploadBytes = plan.uploads.reduce((sum, file) => sum + file.size, 0);
+
+  console.log(chalk.cyan(`\nSync plan for "${remoteRoot}/":\n`));
+
+  const showLines = (lines) => {
+    lines.slice(0, MAX_PLAN_LINES).forEach(line => console.log(line));
+    if (lines.length > MAX_PLAN_LINES) {
+      console.log(chalk.gray(`  ... and ${lines.length - MAX_PLAN_LINES} more`));
+    }
+  };
+
+  showLines(plan.uploads.map(file => (file.reason === 'new'
+    ? `  ${chalk.green('+')} ${file.relativePath} ${chalk.gray(`(new, ${formatBytes(file.size)})`)}`
+    : `  ${chalk.yellow('~')} ${file.relativePath} ${chalk.gray(`(changed, ${formatBytes(file.size)})`)}`)));
+
+  showLines(deletions.map(item => (
+    `  ${chalk.red('-')} ${item.relativePath}${item.type === 'directory' ? '/' : ''} ${chalk.gray(`(not in the local folder, ${formatBytes(item.size)})`)}`
+  )));
+
+  console.log('');
+  console.log(chalk.gray(`Upload: ${plan.uploads.length} file(s), ${formatBytes(uploadBytes)}`));
+  if (deletions.length > 0) {
+    console.log(chalk.gray(`Delete: ${deletions.length} item(s) (moved to the trash)`));
+  } else if (plan.deletions.length > 0) {
+    console.log(chalk.gray(`Only on the server: ${plan.deletions.length} item(s) (kept, use --delete to remove them)`));
+  }
+  console.log(chalk.gray(`Unchanged: ${plan.unchanged} file(s)\n`));
+}
+
+module.exports = syncCommand;
@@ -0,0 +1,227 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const chalk = require('chalk');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displayInfo, displaySuccess, displayWarning, displayTable, formatBytes, formatDateTime } = require('../ui/display');
+const { confirm } = require('../ui/select');
+const config = require('../utils/config');
+const { normalizeRemotePath, getPublicUrl } = require('../utils/paths');
+const { parseDuration } = require('../utils/duration');
+const shares = require('../utils/shares');
+const { recordHistory } = require('../utils/history');
+const trash = require('../api/trash');
+const sftp = require('../api/sftp');
+
+/**
+ * Trash command - lists, restores and empties items deleted with "fileshare delete"
+ * @param {string} action - 'list', 'restore' or 'empty'
+ * @param {string} name - Item to restore (trash id, original path or private share name)
+ * @param {object} options - Command options (olderThan, yes)
+ */
+async function trashCommand(action = 'list', name = null, options = {}) {
+  try {
+    // 1. Check configuration
+    requireConfig(config);
+
+    // 2. Run action
+    switch (action) {
+      case 'list':
+        await listTrash();
+        break;
+
+      case 'restore':
+        await restoreItem(name);
+        break;
+
+      case 'empty':
+        await emptyTrash(options);
+        break;
+    }
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * Name shown for a trash entry: its original path, or its name for a private share
+ */
+function getLabel(entry) {
+  return entry.share ? `${entry.share.name} (private)` : entry.path;
+}
+
+/**
+ * Show everything in the trash
+ */
+async function listTrash() {
+  displayInfo('Loading trash from server...');
+  const entries = await trash.listTrash();
+
+  if (entries.length === 0) {
+    displaySuccess('The trash is empty');
+    return;
+  }
+
+  displayTable(
+    [
+      { label: 'Id', key: 'id' },
+      { label: 'Item', key: 'item' },
+      { label: 'Size', key: 'size', align: 'right' },
+      { label: 'Deleted', key: 'deleted' },
+      { label: 'By', key: 'by' }
+    ],
+    entries.map(entry => ({
+      id: entry.id,
+      item: entry.type === 'directory' && !entry.share ? `${entry.path}/` : getLabel(entry),
+      size: formatBytes(entry.size),
+      deleted: formatDateTime(entry.deletedAt),
+      by: entry.deletedBy || '-'
+    }))
+  );
+
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  console.log(chalk.gray(`${entries.length} item(s), ${formatBytes(totalBytes)}\n`));
+  console.log(chalk.gray('Restore with: fileshare restore <id or path>\n'));
+}
+
+/**
+ * Put a trashed item back where it was deleted from
+ * Accepts the original path, a private share name or an id (or the start of
+ * one); when several deleted versions match, the newest one is restored
+ */
+async function restoreItem(name) {
+  const entries = await trash.listTrash();
+
+  let relativePath;
+  try {
+    relativePath = normalizeRemotePath(name);
+  } catch (error) {
+    displayValidationError(error.message);
+  }
+
+  const byPath = entries.filter(entry => entry.path === relativePath || (entry.share && entry.share.name === relativePath));
+  const byId = entries.filter(entry => entry.id.startsWith(name));
+
+  if (byPath.length === 0 && byId.length === 0) {
+    displayValidationError(`Not found in the trash: ${name} (see "fileshare trash list")`);
+  }
+
+  if (byPath.length === 0 && byId.length > 1) {
+    displayValidationError(`"${name}" matches ${byId.length} trash ids, use more of the id`);
+  }
+
+  const matches = byPath.length > 0 ? byPath : byId;
+
+  // Entries are newest first
+  const entry = matches[0];
+
+  if (await sftp.getRemoteItem(entry.path)) {
+    displayValidationError(`"${entry.path}" already exists on the server, rename or delete it before restoring`);
+  }
+
+  await trash.restoreItem(entry);
+
+  if (entry.share) {
+    shares.recordShare(entry.share);
+  }
+
+  displaySuccess(`Restored ${getLabel(entry)}`);
+
+  const url = getPublicUrl(entry.share ? shares.getSharePath(entry.share) : entry.path);
+  console.log(chalk.bold(url) + '\n');
+
+  if (matches.length > 1) {
+    displayInfo(`${matches.length - 1} older deleted version(s) are still in the trash`);
+  }
+}
+
+/**
+ * Permanently delete trashed items, optionally only those deleted a while ago
+ */
+async function emptyTrash(options) {
+  let cutoff = null;
+
+  if (options.olderThan) {
+    const age = parseDuration(options.olderThan);
+    if (age === null) {
+      displayValidationError(`Invalid --older-than "${options.olderThan}" (use a duration like 30d or 12h)`);
+    }
+    cutoff = Date.now() - age;
+  }
+
+  displayInfo('Loading trash from server...');
+  const entries = (await trash.listTrash())
+    .filter(entry => cutoff === null || new Date(entry.deletedAt).getTime() <= cutoff);
+
+  if (entries.length === 0) {
+    displaySuccess(cutoff === null ? 'The trash is empty' : `Nothing in the trash is older than ${options.olderThan}`);
+    return;
+  }
+
+  const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  if (!options.yes) {
+    const confirmed = await confirm(`Permanently delete ${entries.length} item(s) (${formatBytes(totalBytes)}) from the trash?`);
+
+    if (!confirmed) {
+      console.log(chalk.yellow('\n[!] Emptying cancelled\n'));
+      return;
+    }
+  }
+
+  const results = await trash.removeItems(entries);
+  const removed = results.filter(result => result.success);
+
+  results.forEach((result, index) => {
+    if (!result.success) {
+      return;
+    }
+
+    const entry = entries[index];
+    recordHistory({
+      action: 'delete',
+      remotePath: entry.path,
+      name: entry.share ? entry.share.name : entry.name,
+      size: entry.size,
+      url: getPublicUrl(entry.share ? shares.getSharePath(entry.share) : entry.path),
+      trashId: entry.id,
+      permanent: true
+    });
+  });
+
+  const failed = results
+    .map((result, index) => ({ ...result, label: getLabel(entries[index]) }))
+    .filter(result => !result.success);
+
+  if (removed.length > 0) {
+    displaySuccess(`Permanently deleted ${removed.length} item(s) from the trash`);
+  }
+
+  if (failed.length > 0) {
+    displayWarning(`Failed to delete ${failed.length} item(s)`);
+    failed.forEach(result => {
+      console.log(chalk.red('  - ') + result.label + chalk.gray(` (${result.error})`));
+    });
+    console.log('');
+    process.exit(removed.length > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.FAILURE);
+  }
+}
+
+module.exports = trashCommand;
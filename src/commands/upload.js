@@ -16,70 +16,780 @@
 
 const chalk = require('chalk');
 const fs = require('fs');
-const { displayError, requireConfig } = require('../utils/errors');
-const { displayInfo, displaySuccess, displayProgress, displayUploadComplete } = require('../ui/display');
-const { selectFileOrFolder, confirm } = require('../ui/select');
+const path = require('path');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displayInfo, displaySuccess, displayWarning, displayField, createProgressDisplay, displayUploadComplete, formatBytes, formatDateTime, formatDuration, formatExpiry } = require('../ui/display');
+const { selectFilesOrFolders, selectConflictAction, confirm, passwordInput } = require('../ui/select');
 const config = require('../utils/config');
+const { normalizeRemotePath } = require('../utils/paths');
+const { walkLocalTree } = require('../utils/files');
+const { createIgnoreFilter } = require('../utils/ignore');
+const { parseExpiry } = require('../utils/duration');
+const { getArchiveName, ARCHIVE_FORMATS } = require('../utils/archive');
+const { generatePassphrase, createEncryptionKey, getKeyLink, ENCRYPTED_EXTENSION } = require('../utils/encryption');
+const transfers = require('../utils/transfers');
+const { recordThroughput, getThroughput } = require('../utils/throughput');
+const { recordHistory } = require('../utils/history');
+const shares = require('../utils/shares');
 const sftp = require('../api/sftp');
+const manifest = require('../api/manifest');
 
 /**
  * Upload command - uploads files or folders to the server
  * This is the default command when running just 'fileshare'
+ * @param {string[]} paths - Local paths to upload (interactive picker when empty)
+ * @param {object} options - Command options (yes, name, to, resume, jobs, verify, checksums, onConflict, private, expires, archive, encrypt, passphrase,
+ *   gitignore, exclude, include)
  */
-async function uploadCommand(options = {}) {
+async function uploadCommand(paths = [], options = {}) {
   try {
     // 1. Check configuration
     requireConfig(config);
 
-    // 2. Select file or folder to upload
-    const item = await selectFileOrFolder(process.cwd());
+    // Resume mode picks up recorded transfers instead of new paths
+    if (options.resume) {
+      await resumeUploads(paths);
+      return;
+    }
+
+    // 2. Validate options
+    if (options.name && paths.length > 1) {
+      displayValidationError('--name can only be used when uploading a single path');
+    }
+
+    // A name is a single path segment, use --to for the destination folder
+    if (options.name !== undefined && (/[/\\]/.test(options.name) || ['', '.', '..'].includes(options.name))) {
+      displayValidationError('--name must be a plain file or folder name (use --to to choose a folder)');
+    }
+
+    if (options.private && options.to) {
+      displayValidationError('--private cannot be combined with --to (private uploads get their own folder)');
+    }
+
+    if (options.jobs !== undefined) {
+      const jobs = parseInt(options.jobs);
+      if (isNaN(jobs) || jobs < 1 || jobs > sftp.MAX_JOBS) {
+        displayValidationError(`--jobs must be a number between 1 and ${sftp.MAX_JOBS}`);
+      }
+      sftp.setMaxConnections(jobs);
+    }
+
+    if (options.archive && !ARCHIVE_FORMATS.includes(options.archive)) {
+      displayValidationError(`--archive must be one of: ${ARCHIVE_FORMATS.join(', ')}`);
+    }
+
+    if (options.passphrase && !options.encrypt) {
+      displayValidationError('--passphrase can only be used with --encrypt');
+    }
+
+    const onConflict = options.onConflict || config.getConfig('ON_CONFLICT');
+    if (!config.CONFLICT_MODES.includes(onConflict)) {
+      displayValidationError(`--on-conflict must be one of: ${config.CONFLICT_MODES.join(', ')}`);
+    }
 
-    if (!item) {
-      return; // User cancelled or no items found
+    let expiresAt = null;
+    try {
+      expiresAt = parseExpiry(options.expires || config.getConfig('DEFAULT_EXPIRY'));
+    } catch (error) {
+      displayValidationError(error.message);
     }
 
-    // 3. Confirm upload
-    const confirmMessage = item.isDirectory
-      ? `Upload folder "${item.name}" and all its contents?`
-      : `Upload file "${item.name}"?`;
+    let remoteSubdir = '';
+    try {
+      remoteSubdir = normalizeRemotePath(options.to);
+    } catch (error) {
+      displayValidationError(error.message);
+    }
+
+    // 3. Resolve items from arguments, or select them interactively
+    let items;
+
+    if (paths.length > 0) {
+      items = paths.map(resolveLocalItem);
+    } else {
+      items = await selectFilesOrFolders(process.cwd());
+
+      if (!items || items.length === 0) {
+        return; // User cancelled or no items found
+      }
+    }
+
+    if (options.encrypt && !options.archive && items.some(item => item.isDirectory)) {
+      displayValidationError('--encrypt uploads folders as a single archive, add --archive tar.gz or --archive zip');
+    }
 
-    const confirmed = await confirm(confirmMessage);
+    // Apply ignore rules to folders up front and show what they leave out
+    const ignoreOptions = { gitignore: options.gitignore, exclude: options.exclude, include: options.include };
 
-    if (!confirmed) {
-      console.log(chalk.yellow('\n[!] Upload cancelled\n'));
+    items.filter(item => item.isDirectory).forEach((item) => {
+      item.tree = walkLocalTree(item.path, { ignore: createIgnoreFilter(item.path, ignoreOptions) });
+      displayExcluded(item);
+    });
+
+    // 4. Confirm upload
+    if (!options.yes) {
+      displayPreflight(items);
+
+      const confirmed = await confirm(getConfirmMessage(items, remoteSubdir, options.private));
+
+      if (!confirmed) {
+        console.log(chalk.yellow('\n[!] Upload cancelled\n'));
+        return;
+      }
+    }
+
+    // 5. Perform uploads
+    const uploadOptions = {
+      remoteSubdir,
+      verify: options.verify !== false,
+      checksums: Boolean(options.checksums),
+      onConflict,
+      expiresAt,
+      archive: options.archive || null,
+      encryption: options.encrypt ? await getEncryption(options) : null,
+      ignore: ignoreOptions
+    };
+
+    // Private uploads each get a new token folder
+    const getItemOptions = () => (options.private ? getPrivateOptions(uploadOptions) : uploadOptions);
+
+    // Single item: errors propagate directly, exactly as before
+    if (items.length === 1) {
+      const result = await uploadItem(items[0], options.name || null, getItemOptions());
+      if (result.skipped) {
+        displayWarning(`Skipped "${result.filename}": it already exists on the server`);
+      } else if (result.failedFiles && result.failedFiles.length > 0) {
+        process.exit(EXIT_CODES.PARTIAL_FAILURE);
+      }
       return;
     }
 
-    // 4. Perform upload
+    // 6. Multiple items: combined summary and exit code scripts can check
+    await uploadBatch(items.map(item => ({ item, remoteName: null, uploadOptions: getItemOptions() })));
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * Derive the encryption key for --encrypt, shared by every item in the upload
+ * Without --passphrase a random passphrase is generated and carried in the
+ * link's fragment; with it, the user's passphrase (or FILESHARE_PASSPHRASE)
+ * is used and must be shared separately
+ */
+async function getEncryption(options) {
+  let passphrase = generatePassphrase();
+
+  if (options.passphrase) {
+    passphrase = process.env.FILESHARE_PASSPHRASE || await promptNewPassphrase();
+  }
+
+  displayInfo('Deriving encryption key...');
+  const key = await createEncryptionKey(passphrase);
+
+  return { ...key, passphrase, inLink: !options.passphrase };
+}
+
+/**
+ * Ask for a new passphrase twice until both entries match
+ */
+async function promptNewPassphrase() {
+  if (!process.stdin.isTTY) {
+    displayValidationError('--passphrase needs an interactive terminal, or set FILESHARE_PASSPHRASE');
+  }
+
+  while (true) {
+    const passphrase = await passwordInput('Encryption passphrase:');
+
+    if (passphrase.length === 0) {
+      displayWarning('Passphrase cannot be empty');
+      continue;
+    }
+
+    const repeated = await passwordInput('Repeat passphrase:');
+
+    if (passphrase === repeated) {
+      return passphrase;
+    }
+
+    displayWarning('Passphrases do not match, try again');
+  }
+}
+
+/**
+ * Upload options for a private share: a new random token folder under
+ * SHARES_DIR, which can never hold an existing item
+ */
+function getPrivateOptions(uploadOptions) {
+  const token = shares.generateToken();
+
+  return {
+    ...uploadOptions,
+    remoteSubdir: `${shares.SHARES_DIR}/${token}`,
+    onConflict: 'overwrite',
+    shareToken: token
+  };
+}
+
+/**
+ * Resume every unfinished transfer recorded for the configured server
+ */
+async function resumeUploads(paths) {
+  if (paths.length > 0) {
+    displayValidationError('--resume cannot be combined with upload paths');
+  }
+
+  const pending = transfers.getPendingTransfers();
+
+  if (pending.length === 0) {
+    displayWarning('No unfinished uploads to resume');
+    return;
+  }
+
+  displayInfo(`Resuming ${pending.length} unfinished upload(s)...`);
+
+  const entries = [];
+
+  for (const record of pending) {
+    if (!fs.existsSync(record.localPath)) {
+      displayWarning(`Skipping ${record.remoteName}: local file no longer exists (${record.localPath})`);
+      continue;
+    }
+
+    const item = resolveLocalItem(record.localPath);
+    const [sharesDir, shareToken] = record.remoteSubdir.split('/');
+
+    // Folders are walked again with the rules they were first uploaded with
     if (item.isDirectory) {
-      // Upload folder
-      displayInfo(`Uploading folder: ${item.name}`);
+      item.tree = walkLocalTree(item.path, { ignore: createIgnoreFilter(item.path, record.ignore || {}) });
+    }
+
+    entries.push({
+      item,
+      remoteName: record.remoteName,
+      uploadOptions: {
+        remoteSubdir: record.remoteSubdir,
+        verify: true,
+        checksums: Boolean(record.checksums),
+        ignore: record.ignore,
+        expiresAt: record.expiresAt ? new Date(record.expiresAt) : null,
+        resume: { replace: Boolean(record.replace) },
+        // Private uploads become a share once they finish
+        ...(sharesDir === shares.SHARES_DIR && shareToken ? { shareToken } : {})
+      }
+    });
+  }
+
+  if (entries.length === 0) {
+    process.exit(EXIT_CODES.FAILURE);
+  }
+
+  await uploadBatch(entries);
+
+  if (entries.length < pending.length) {
+    process.exit(EXIT_CODES.PARTIAL_FAILURE);
+  }
+}
+
+/**
+ * Upload several items one after another, then display a combined summary
+ * Exits with FAILURE when nothing uploaded and PARTIAL_FAILURE when only
+ * some items uploaded
+ * @param {object[]} entries - Items with their remoteName and uploadOptions
+ */
+async function uploadBatch(entries) {
+  const results = [];
 
-      const result = await sftp.uploadFolder(item.path);
+  for (const { item, remoteName, uploadOptions } of entries) {
+    try {
+      const result = await uploadItem(item, remoteName, uploadOptions);
 
-      displaySuccess(`Folder uploaded: ${result.filename}`);
-      console.log(chalk.cyan('Access your files at:'));
-      console.log(chalk.bold(result.url));
+      if (result.skipped) {
+        results.push({ item, success: true, skipped: true, filename: result.filename });
+        continue;
+      }
+
+      const incomplete = Boolean(result.failedFiles && result.failedFiles.length > 0);
+      results.push({ item, success: true, incomplete, url: result.url });
+    } catch (error) {
       console.log('');
-    } else {
-      // Upload file with progress
-      let lastProgress = 0;
-
-      const result = await sftp.uploadFile(item.path, null, (current, total, filename) => {
-        // Only update progress every 5%
-        const currentProgress = Math.floor((current / total) * 100);
-        if (currentProgress >= lastProgress + 5 || current === total) {
-          displayProgress(current, total, filename);
-          lastProgress = currentProgress;
-        }
+      displayWarning(`Failed to upload ${item.name}: ${error.message}`);
+      results.push({ item, success: false, error: error.message });
+    }
+  }
+
+  const failed = results.filter(r => !r.success);
+  const incomplete = results.filter(r => r.incomplete);
+  displayUploadSummary(results);
+
+  if (failed.length === results.length) {
+    process.exit(EXIT_CODES.FAILURE);
+  } else if (failed.length > 0 || incomplete.length > 0) {
+    process.exit(EXIT_CODES.PARTIAL_FAILURE);
+  }
+}
+
+/**
+ * Resolve a command-line path into an upload item
+ * @param {string} inputPath - Absolute or relative local path
+ */
+function resolveLocalItem(inputPath) {
+  const fullPath = path.resolve(inputPath);
+
+  if (!fs.existsSync(fullPath)) {
+    displayValidationError(`Path not found: ${inputPath}`);
+  }
+
+  const stat = fs.statSync(fullPath);
+
+  return {
+    name: path.basename(fullPath),
+    path: fullPath,
+    isDirectory: stat.isDirectory(),
+    size: stat.size
+  };
+}
+
+/**
+ * Show how much of a folder its ignore rules leave out
+ * @param {object} item - Folder item with its walked tree
+ */
+function displayExcluded(item) {
+  const { excluded } = item.tree;
+
+  if (excluded.paths.length === 0) {
+    return;
+  }
+
+  displayInfo(`${item.name}: excluding ${excluded.files} file(s), ${formatBytes(excluded.bytes)} (ignore rules)`);
+
+  excluded.paths.slice(0, 5).forEach(excludedPath => {
+    console.log(chalk.gray('  - ') + excludedPath);
+  });
+  if (excluded.paths.length > 5) {
+    console.log(chalk.gray(`  ... and ${excluded.paths.length - 5} more`));
+  }
+  console.log('');
+}
+
+/**
+ * Build confirmation message for the selected items
+ */
+function getConfirmMessage(items, remoteSubdir, isPrivate) {
+  const destination = isPrivate ? ' as a private link' : (remoteSubdir ? ` to "${remoteSubdir}/"` : '');
+
+  if (items.length > 1) {
+    return `Upload ${items.length} items${destination}?`;
+  }
+
+  return items[0].isDirectory
+    ? `Upload folder "${items[0].name}" and all its contents${destination}?`
+    : `Upload file "${items[0].name}"${destination}?`;
+}
+
+/**
+ * Show what is about to be uploaded: item count, total size and a rough
+ * duration from the speed of earlier uploads to this server
+ * @param {object[]} items - Items to upload (folders with their walked tree)
+ */
+function displayPreflight(items) {
+  const folders = items.filter(item => item.isDirectory).length;
+  const totalBytes = items.reduce((sum, item) => sum + (item.isDirectory ? item.tree.totalBytes : item.size), 0);
+  const rate = getThroughput();
+
+  console.log('');
+  displayField('Items', `${items.length} (${items.length - folders} file(s), ${folders} folder(s))`);
+  displayField('Total', formatBytes(totalBytes));
+  displayField('Estimate', rate
+    ? `~${formatDuration(Math.max(1, totalBytes / rate))} at ${formatBytes(rate)}/s`
+    : chalk.gray('no estimate yet (measured after the first upload)'));
+  console.log('');
+}
+
+/**
+ * Decide what to do when the destination name already exists on the server
+ * @param {object} item - Item being uploaded
+ * @param {string} name - Remote name the item would be uploaded as
+ * @param {object} uploadOptions - Upload options (remoteSubdir, onConflict)
+ * @returns {Promise<object|null>} { name, replace } to upload as (replace: an existing
+ *   folder is swapped for the upload), or null to skip
+ */
+async function resolveConflict(item, name, uploadOptions) {
+  const mode = uploadOptions.onConflict || 'overwrite';
+  const relativePath = [uploadOptions.remoteSubdir, name].filter(Boolean).join('/');
+  const existing = await sftp.getRemoteItem(relativePath);
+
+  if (!existing) {
+    return { name, replace: false };
+  }
+
+  let action = mode;
+  let renameTo = null;
+
+  if (mode === 'ask') {
+    if (!process.stdin.isTTY) {
+      throw new Error(`"${relativePath}" already exists on the server (use --on-conflict to choose what happens)`);
+    }
+
+    renameTo = await sftp.findAvailableName(uploadOptions.remoteSubdir, name, item.isDirectory);
+    action = await selectConflictAction(relativePath, renameTo);
+
+    while (action === 'compare') {
+      await displayConflictComparison(item, existing);
+      action = await selectConflictAction(relativePath, renameTo);
+    }
+  }
+
+  switch (action) {
+    case 'skip':
+      return null;
+
+    case 'fail':
+      throw new Error(`"${relativePath}" already exists on the server`);
+
+    case 'rename':
+      renameTo = renameTo || await sftp.findAvailableName(uploadOptions.remoteSubdir, name, item.isDirectory);
+      displayInfo(`"${relativePath}" already exists, uploading as "${renameTo}"`);
+      return { name: renameTo, replace: false };
+
+    default:
+      if ((existing.type === 'directory') !== item.isDirectory) {
+        throw new Error(`Cannot overwrite ${existing.type === 'directory' ? 'a folder' : 'a file'} on the server: ${relativePath}`);
+      }
+      return { name, replace: existing.type === 'directory' };
+  }
+}
+
+/**
+ * Show the local item next to the one already on the server
+ * @param {object} item - Local item being uploaded
+ * @param {object} existing - Remote item from sftp.getRemoteItem
+ */
+async function displayConflictComparison(item, existing) {
+  const localModified = fs.statSync(item.path).mtimeMs;
+
+  console.log('');
+
+  if (item.archive || item.encrypted) {
+    let local = `File to encrypt, ${formatBytes(item.size)}`;
+
+    if (item.archive) {
+      const localTree = item.tree || walkLocalTree(item.path);
+      local = `Folder to archive${item.encrypted ? ' and encrypt' : ''}, ${localTree.files.length} files, ${formatBytes(localTree.totalBytes)} uncompressed`;
+    }
+
+    displayField('Local', `${local}, modified ${formatDateTime(localModified)}`);
+    displayField('Server', existing.type === 'directory'
+      ? 'Folder'
+      : `File, ${formatBytes(existing.size)}, modified ${formatDateTime(existing.modifyTime)}`);
+  } else if (item.isDirectory && existing.type === 'directory') {
+    displayInfo('Comparing folders...');
+
+    const localTree = item.tree || walkLocalTree(item.path);
+    const remoteTree = await sftp.getRemoteTree(existing.name);
+    const remoteFiles = new Set(remoteTree.files.map(f => f.relativePath));
+    const shared = localTree.files.filter(f => remoteFiles.has(f.relativePath)).length;
+
+    displayField('Local', `${localTree.files.length} files, ${formatBytes(localTree.totalBytes)}, modified ${formatDateTime(localModified)}`);
+    displayField('Server', `${remoteTree.files.length} files, ${formatBytes(remoteTree.totalBytes)}, modified ${formatDateTime(existing.modifyTime)}`);
+    displayField('In both', `${shared} file(s) would be replaced`);
+  } else if (!item.isDirectory && existing.type === 'file') {
+    displayInfo('Comparing files...');
+
+    const identical = await sftp.matchesRemoteFile(item.path, existing.name);
+
+    displayField('Local', `${formatBytes(item.size)}, modified ${formatDateTime(localModified)}`);
+    displayField('Server', `${formatBytes(existing.size)}, modified ${formatDateTime(existing.modifyTime)}`);
+    displayField('Contents', identical ? chalk.green('Identical') : chalk.yellow('Different'));
+  } else {
+    displayField('Local', item.isDirectory ? 'Folder' : `File, ${formatBytes(item.size)}`);
+    displayField('Server', existing.type === 'directory' ? 'Folder' : `File, ${formatBytes(existing.size)}`);
+  }
+
+  console.log('');
+}
+
+/**
+ * Upload a single file or folder and display the result
+ * @param {object} item - Item from resolveLocalItem or selectFilesOrFolders
+ * @param {string} remoteName - Remote name override (optional)
+ * @param {object} uploadOptions - Options passed to the SFTP layer
+ * @returns {Promise<object>} Upload result, or { skipped: true, filename } on a skipped conflict
+ */
+async function uploadItem(item, remoteName, uploadOptions) {
+  // Folders uploaded with --archive, and encrypted files, arrive as a single file
+  const archive = item.isDirectory ? uploadOptions.archive : null;
+  const encrypted = Boolean(uploadOptions.encryption);
+  const target = archive || encrypted ? { ...item, isDirectory: false, archive, encrypted } : item;
+
+  let requestedName = archive ? getArchiveName(remoteName || item.name, archive) : (remoteName || item.name);
+  if (encrypted && !requestedName.endsWith(ENCRYPTED_EXTENSION)) {
+    requestedName += ENCRYPTED_EXTENSION;
+  }
+
+  // A resumed transfer continues into the destination it started with
+  const resolved = uploadOptions.resume
+    ? { name: requestedName, replace: uploadOptions.resume.replace }
+    : await resolveConflict(target, requestedName, uploadOptions);
+
+  if (!resolved) {
+    return { skipped: true, filename: requestedName };
+  }
+
+  remoteName = resolved.name;
+
+  if (!uploadOptions.remoteSubdir && remoteName === shares.SHARES_DIR) {
+    throw new Error(`"${shares.SHARES_DIR}" is reserved for private links, choose another name with --name`);
+  }
+
+  // Timed for the estimate shown before the next upload
+  const startedAt = Date.now();
+  const result = await sendItem(item, remoteName, { ...uploadOptions, replace: resolved.replace });
+  recordThroughput(getSentBytes(item, result), Date.now() - startedAt);
+
+  // Recorded once the item exists, so a failed upload leaves no dangling share
+  if (uploadOptions.shareToken) {
+    shares.recordShare({
+      token: uploadOptions.shareToken,
+      name: result.filename,
+      type: target.isDirectory ? 'directory' : 'file'
+    });
+  }
+
+  recordHistory({
+    action: 'upload',
+    localPath: item.path,
+    remotePath: [uploadOptions.remoteSubdir, result.filename].filter(Boolean).join('/'),
+    size: getUploadedSize(item, result),
+    url: result.url,
+    ...(uploadOptions.shareToken ? { private: true } : {}),
+    ...(result.failedFiles && result.failedFiles.length > 0 ? { incomplete: true } : {})
+  });
+
+  return result;
+}
+
+/**
+ * Upload an item the way its options ask for and display the result
+ * @param {object} item - Item being uploaded
+ * @param {string} remoteName - Remote name after conflict resolution
+ * @param {object} uploadOptions - Options passed to the SFTP layer
+ */
+async function sendItem(item, remoteName, uploadOptions) {
+  if (item.isDirectory && uploadOptions.archive) {
+    return uploadArchiveItem(item, remoteName, uploadOptions);
+  }
+
+  if (uploadOptions.encryption) {
+    return uploadEncryptedItem(item, remoteName, uploadOptions);
+  }
+
+  if (item.isDirectory) {
+    // Upload folder with overall progress
+    displayInfo(`Uploading folder: ${item.name}`);
+
+    const result = await sftp.uploadFolder(item.path, remoteName, createProgressDisplay(), { ...uploadOptions, tree: item.tree, resumable: true });
+
+    console.log(''); // New line after progress
+
+    if (result.failedFiles.length > 0) {
+      displayWarning(`${result.failedFiles.length} of ${result.fileCount} file(s) failed to upload`);
+      result.failedFiles.forEach(f => {
+        console.log(chalk.red('  - ') + f.relativePath + chalk.gray(` (${f.error})`));
       });
+      console.log('');
+      if (uploadOptions.replace) {
+        displayWarning(`The existing "${result.filename}" was left unchanged, upload again to finish replacing it`);
+      }
+    } else {
+      displaySuccess(`Folder uploaded: ${result.filename} (${result.fileCount} files, ${formatBytes(result.totalBytes)})`);
+    }
 
-      displayUploadComplete(result.filename, result.url);
+    const notes = [];
+    if (uploadOptions.verify && result.failedFiles.length === 0) {
+      notes.push('SHA-256 checksums verified on server');
+    }
+    if (uploadOptions.checksums) {
+      notes.push('Checksums written to SHA256SUMS in the uploaded folder');
+    }
+    if (await recordExpiry(uploadOptions, result.filename)) {
+      notes.push(`Expires ${formatDateTime(uploadOptions.expiresAt)} (${formatExpiry(uploadOptions.expiresAt)})`);
     }
+    if (notes.length > 0) {
+      notes.forEach(note => console.log(chalk.gray(note)));
+      console.log('');
+    }
+
+    console.log(chalk.cyan(uploadOptions.shareToken ? 'Private link (not listed on the server):' : 'Access your files at:'));
+    console.log(chalk.bold(result.url));
+    console.log('');
+
+    return result;
+  }
+
+  // Upload file with progress, rate and ETA
+  const result = await sftp.uploadFile(item.path, remoteName, createProgressDisplay(), uploadOptions);
+
+  if (result.resumedFrom > 0) {
+    displayInfo(`Resumed from ${formatBytes(result.resumedFrom)} of ${formatBytes(item.size)}`);
+  }
+
+  displayUploadComplete(result.filename, result.url);
+  if (uploadOptions.shareToken) {
+    displayField('Visibility', 'Private link (not listed on the server)');
+  }
+  displayField('SHA-256', result.verified ? `${result.sha256} ${chalk.green('(verified on server)')}` : result.sha256);
+  if (await recordExpiry(uploadOptions, result.filename)) {
+    displayField('Expires', `${formatDateTime(uploadOptions.expiresAt)} (${formatExpiry(uploadOptions.expiresAt)})`);
+  }
+  console.log('');
+
+  return result;
+}
+
+/**
+ * Bytes an upload actually sent over the connection
+ */
+function getSentBytes(item, result) {
+  if (result.archiveBytes !== undefined) return result.archiveBytes;
+  if (result.encryptedBytes !== undefined) return result.encryptedBytes;
+  if (item.isDirectory) return result.totalBytes;
+  return item.size - (result.resumedFrom || 0);
+}
+
+/**
+ * Size of an uploaded item as stored on the server
+ */
+function getUploadedSize(item, result) {
+  if (result.archiveBytes !== undefined) return result.archiveBytes;
+  if (result.encryptedBytes !== undefined) return result.encryptedBytes;
+  return item.isDirectory ? result.totalBytes : item.size;
+}
+
+/**
+ * Upload a folder as a single archive and display the result
+ * @param {object} item - Folder item
+ * @param {string} remoteName - Archive filename including its extension
+ * @param {object} uploadOptions - Options passed to the SFTP layer
+ */
+async function uploadArchiveItem(item, remoteName, uploadOptions) {
+  displayInfo(`Archiving folder: ${item.name} -> ${remoteName}`);
+
+  const result = await sftp.uploadArchive(item.path, remoteName, createProgressDisplay('Archiving'), { ...uploadOptions, tree: item.tree });
+  result.url = getLink(result.url, uploadOptions);
+
+  displayUploadComplete(result.filename, result.url);
+  if (uploadOptions.shareToken) {
+    displayField('Visibility', 'Private link (not listed on the server)');
+  }
+  displayField('Archive', `${result.fileCount} files, ${formatBytes(result.totalBytes)} compressed to ${formatBytes(result.archiveBytes)}`);
+  displayEncryption(uploadOptions);
+  displayField('SHA-256', result.verified ? `${result.sha256} ${chalk.green('(verified on server)')}` : result.sha256);
+  if (await recordExpiry(uploadOptions, result.filename)) {
+    displayField('Expires', `${formatDateTime(uploadOptions.expiresAt)} (${formatExpiry(uploadOptions.expiresAt)})`);
+  }
+  console.log('');
+
+  return result;
+}
+
+/**
+ * Upload a file encrypted on the fly and display the result
+ * @param {object} item - File item
+ * @param {string} remoteName - Remote filename including ".enc"
+ * @param {object} uploadOptions - Options passed to the SFTP layer
+ */
+async function uploadEncryptedItem(item, remoteName, uploadOptions) {
+  const result = await sftp.uploadEncryptedFile(item.path, remoteName, createProgressDisplay('Encrypting'), uploadOptions);
+  result.url = getLink(result.url, uploadOptions);
+
+  displayUploadComplete(result.filename, result.url);
+  if (uploadOptions.shareToken) {
+    displayField('Visibility', 'Private link (not listed on the server)');
+  }
+  displayEncryption(uploadOptions);
+  displayField('SHA-256', result.verified ? `${result.sha256} ${chalk.green('(encrypted file, verified on server)')}` : result.sha256);
+  if (await recordExpiry(uploadOptions, result.filename)) {
+    displayField('Expires', `${formatDateTime(uploadOptions.expiresAt)} (${formatExpiry(uploadOptions.expiresAt)})`);
+  }
+  console.log('');
+
+  return result;
+}
+
+/**
+ * Link to share for an upload: encrypted uploads with a generated
+ * passphrase carry it in the fragment
+ */
+function getLink(url, uploadOptions) {
+  const { encryption } = uploadOptions;
+  return encryption && encryption.inLink ? getKeyLink(url, encryption.passphrase) : url;
+}
+
+/**
+ * Explain how recipients decrypt an encrypted upload
+ */
+function displayEncryption(uploadOptions) {
+  if (!uploadOptions.encryption) return;
+
+  displayField('Encryption', uploadOptions.encryption.inLink
+    ? 'AES-256-GCM, key is in the link after "#" (never sent to the server)'
+    : 'AES-256-GCM, share the passphrase separately');
+  console.log(chalk.gray('Decrypt with: fileshare decrypt <downloaded file or link>'));
+}
 
+/**
+ * Store the upload's expiry in the server manifest (clearing any expiry
+ * left by an item it replaced)
+ * @returns {Promise<boolean>} true when the item now has an expiry
+ */
+async function recordExpiry(uploadOptions, filename) {
+  const relativePath = [uploadOptions.remoteSubdir, filename].filter(Boolean).join('/');
+
+  try {
+    await manifest.setExpiry(relativePath, uploadOptions.expiresAt || null);
+    return Boolean(uploadOptions.expiresAt);
   } catch (error) {
-    displayError(error);
-    process.exit(1);
+    displayWarning(`Uploaded, but the expiry could not be recorded on the server: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Display combined result of a multi-item upload
+ */
+function displayUploadSummary(results) {
+  const successful = results.filter(r => r.success && !r.skipped);
+  const skipped = results.filter(r => r.skipped);
+  const failed = results.filter(r => !r.success);
+
+  if (successful.length > 0) {
+    displaySuccess(`Uploaded ${successful.length} of ${results.length} item(s)`);
+    successful.forEach(r => {
+      const note = r.incomplete ? chalk.yellow(' (some files failed)') : '';
+      console.log(chalk.gray('  - ') + r.url + note);
+    });
+    console.log('');
+  }
+
+  if (skipped.length > 0) {
+    displayWarning(`Skipped ${skipped.length} item(s) that already exist on the server`);
+    skipped.forEach(r => {
+      console.log(chalk.yellow('  - ') + r.filename);
+    });
+    console.log('');
+  }
+
+  if (failed.length > 0) {
+    displayWarning(`Failed to upload ${failed.length} item(s)`);
+    failed.forEach(r => {
+      console.log(chalk.red('  - ') + r.item.name + chalk.gray(` (${r.error})`));
+    });
+    console.log('');
   }
 }
 
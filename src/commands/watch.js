@@ -0,0 +1,230 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { EXIT_CODES, displayError, requireConfig, displayValidationError } = require('../utils/errors');
+const { displayInfo, formatBytes } = require('../ui/display');
+const config = require('../utils/config');
+const { normalizeRemotePath, getPublicUrl } = require('../utils/paths');
+const { walkLocalTree } = require('../utils/files');
+const { createIgnoreFilter } = require('../utils/ignore');
+const { parseDuration } = require('../utils/duration');
+const { createChangeTracker } = require('../utils/watcher');
+const { recordHistory } = require('../utils/history');
+const shares = require('../utils/shares');
+const sftp = require('../api/sftp');
+
+// How often the folder is scanned for new and changed files
+const SCAN_INTERVAL = 2000;
+
+/**
+ * Watch command - uploads files dropped into a local folder once they stop
+ * changing, until stopped with Ctrl+C
+ *
+ * Files keep their place below the local folder (e.g. "run1/data.csv" goes
+ * to "<remote>/run1/data.csv") and their modification time, so files already
+ * on the server are not sent again after a restart. Connections are opened
+ * per batch of uploads, and failed uploads are retried, so the watcher keeps
+ * going when the server or network drops out.
+ * @param {string} localPath - Local folder to watch
+ * @param {string} remotePath - Folder relative to SERVER_DIRECTORY (default: the local folder's name)
+ * @param {object} options - Command options (settle, verify, exclude, include, gitignore)
+ */
+async function watchCommand(localPath, remotePath, options = {}) {
+  try {
+    // 1. Check configuration
+    requireConfig(config);
+
+    // 2. Validate arguments and options
+    const localRoot = path.resolve(localPath);
+
+    if (!fs.existsSync(localRoot) || !fs.statSync(localRoot).isDirectory()) {
+      displayValidationError(`Not a local folder: ${localPath}`);
+    }
+
+    let remoteRoot;
+    try {
+      remoteRoot = normalizeRemotePath(remotePath || path.basename(localRoot));
+    } catch (error) {
+      displayValidationError(error.message);
+    }
+
+    if (!remoteRoot) {
+      displayValidationError('Watch into a folder inside the server directory, not the server directory itself');
+    }
+
+    if (remoteRoot === shares.SHARES_DIR || remoteRoot.startsWith(`${shares.SHARES_DIR}/`)) {
+      displayValidationError(`"${shares.SHARES_DIR}/" is reserved for private links`);
+    }
+
+    const settleMs = parseDuration(options.settle || '5s');
+    if (settleMs === null) {
+      displayValidationError(`Invalid --settle "${options.settle}" (use a duration like 5s or 1m)`);
+    }
+
+    const ignoreOptions = { gitignore: options.gitignore, exclude: options.exclude, include: options.include };
+    const tracker = createChangeTracker(settleMs);
+
+    // 3. Skip files already on the server
+    const remoteItem = await sftp.getRemoteItem(remoteRoot);
+    if (remoteItem && remoteItem.type !== 'directory') {
+      displayValidationError(`"${remoteRoot}" is a file on the server, not a folder`);
+    }
+
+    if (remoteItem) {
+      const remoteTree = await sftp.getRemoteTree(remoteRoot);
+      remoteTree.files.forEach(file => tracker.markUploaded({ ...file, mtimeMs: file.modifyTime }));
+    }
+    await sftp.disconnect();
+
+    // 4. Scan until Ctrl+C
+    const stop = watchForStop();
+
+    displayInfo(`Watching ${localRoot} -> "${remoteRoot}/" (files upload once unchanged for ${options.settle || '5s'}, Ctrl+C to stop)`);
+
+    while (!stop.requested) {
+      let ready = [];
+
+      try {
+        // Rebuilt every scan so edited .fileshareignore files apply
+        const ignore = createIgnoreFilter(localRoot, ignoreOptions);
+        ready = tracker.update(walkLocalTree(localRoot, { ignore }).files);
+      } catch (error) {
+        log(chalk.yellow('[!]'), `Cannot read ${localRoot}: ${error.message}`);
+      }
+
+      if (ready.length > 0) {
+        await uploadReady(ready, localRoot, remoteRoot, tracker, options);
+      }
+
+      await stop.sleep(SCAN_INTERVAL);
+    }
+
+    log(chalk.cyan('[*]'), 'Stopped watching');
+
+  } catch (error) {
+    displayError(error);
+    process.exit(EXIT_CODES.FAILURE);
+  } finally {
+    await sftp.disconnect();
+  }
+}
+
+/**
+ * Upload files that have settled, logging each URL
+ */
+async function uploadReady(files, localRoot, remoteRoot, tracker, options) {
+  log(chalk.cyan('[*]'), `Uploading ${files.length} file(s), ${formatBytes(files.reduce((sum, file) => sum + file.size, 0))}...`);
+
+  // Every folder above the files, so uploadFolder creates them
+  const directories = new Set();
+  files.forEach((file) => {
+    const segments = file.relativePath.split('/').slice(0, -1);
+    segments.forEach((segment, index) => directories.add(segments.slice(0, index + 1).join('/')));
+  });
+
+  let failedFiles;
+
+  try {
+    const result = await sftp.uploadFolder(localRoot, path.posix.basename(remoteRoot), null, {
+      remoteSubdir: path.posix.dirname(remoteRoot) === '.' ? '' : path.posix.dirname(remoteRoot),
+      tree: {
+        files,
+        directories: [...directories].sort(),
+        totalBytes: files.reduce((sum, file) => sum + file.size, 0)
+      },
+      verify: options.verify !== false,
+      preserveTimes: true
+    });
+
+    failedFiles = result.failedFiles;
+  } catch (error) {
+    // Server unreachable: try the whole batch again later
+    failedFiles = files.map(file => ({ relativePath: file.relativePath, error: error.message }));
+  } finally {
+    // Fresh connections for the next batch rather than ones left idle
+    await sftp.disconnect();
+  }
+
+  const failedPaths = new Set(failedFiles.map(f => f.relativePath));
+
+  files.forEach((file) => {
+    if (failedPaths.has(file.relativePath)) {
+      tracker.retryLater(file);
+      return;
+    }
+
+    const url = getPublicUrl(remoteRoot, file.relativePath);
+
+    tracker.markUploaded(file);
+    recordHistory({
+      action: 'upload',
+      localPath: file.path,
+      remotePath: `${remoteRoot}/${file.relativePath}`,
+      size: file.size,
+      url
+    });
+    log(chalk.green('[+]'), `${file.relativePath} ${chalk.gray(`(${formatBytes(file.size)})`)} ${url}`);
+  });
+
+  failedFiles.forEach((f) => {
+    log(chalk.yellow('[!]'), `${f.relativePath} failed, will retry: ${chalk.gray(f.error)}`);
+  });
+}
+
+/**
+ * Handle Ctrl+C: the first press stops after the current upload,
+ * a second press exits straight away (partial uploads resume next time)
+ * @returns {object} { requested, sleep(ms) } - sleep ends early when stopping
+ */
+function watchForStop() {
+  const stop = { requested: false };
+  let wake = null;
+
+  process.on('SIGINT', () => {
+    if (stop.requested) {
+      process.exit(EXIT_CODES.FAILURE);
+    }
+
+    stop.requested = true;
+    log(chalk.cyan('[*]'), 'Stopping after the current upload (Ctrl+C again to quit now)...');
+
+    if (wake) {
+      wake();
+    }
+  });
+
+  stop.sleep = ms => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+  return stop;
+}
+
+/**
+ * Print a timestamped log line
+ */
+function log(icon, message) {
+  console.log(`${chalk.gray(new Date().toLocaleTimeString())} ${icon} ${message}`);
+}
+
+module.exports = watchCommand;
@@ -18,15 +18,47 @@
 
 const { Command } = require('commander');
 const config = require('./utils/config');
+const { displayValidationError } = require('./utils/errors');
+
+/**
+ * Load configuration for a profile, rejecting names that are not valid
+ * @param {string} name - Profile from --profile (FILESHARE_PROFILE or the saved profile when omitted)
+ */
+function loadProfile(name = null) {
+  config.loadConfig(name);
+
+  const valid = config.validateProfileName(config.getActiveProfile().name);
+  if (valid !== true) {
+    displayValidationError(valid);
+  }
+}
+
+/**
+ * Collect a repeatable option into an array
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
 
 // Load configuration at startup
-config.loadConfig();
+loadProfile();
 
 // Import commands
 const uploadCommand = require('./commands/upload');
+const downloadCommand = require('./commands/download');
+const listCommand = require('./commands/list');
 const deleteCommand = require('./commands/delete');
+const trashCommand = require('./commands/trash');
+const moveCommand = require('./commands/move');
+const syncCommand = require('./commands/sync');
+const watchCommand = require('./commands/watch');
+const historyCommand = require('./commands/history');
+const pruneCommand = require('./commands/prune');
+const linkCommand = require('./commands/link');
+const decryptCommand = require('./commands/decrypt');
 const passwordCommand = require('./commands/password');
 const setupCommand = require('./commands/setup');
+const profileCommand = require('./commands/profile');
 const aboutCommand = require('./commands/about');
 
 // Create CLI program
@@ -35,29 +67,237 @@ const program = new Command();
 program
   .name('fileshare')
   .description('CLI tool for securely transferring large files and folders')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('-p, --profile <name>', 'Use a named server profile for this command (default: FILESHARE_PROFILE or the saved profile)');
+
+// Switch profile before any command runs
+program.hook('preAction', () => {
+  const { profile } = program.opts();
+  if (profile) {
+    loadProfile(profile);
+  }
+});
 
 // Register commands
 program
-  .command('upload')
-  .description('Upload files or folders from current directory')
-  .action(() => uploadCommand());
+  .command('upload [paths...]')
+  .description('Upload files or folders (interactive picker when no paths are given)')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('-n, --name <name>', 'Remote name for the uploaded item (single path only)')
+  .option('-t, --to <subdir>', 'Destination folder inside the server directory')
+  .option('-r, --resume', 'Resume every unfinished upload recorded in ~/.fileshare')
+  .option('-j, --jobs <n>', 'Number of files to upload at once (default: UPLOAD_JOBS, 4)')
+  .option('--no-verify', 'Skip SHA-256 verification of uploaded files')
+  .option('--checksums', 'Write a SHA256SUMS file into uploaded folders')
+  .option('-x, --exclude <pattern>', 'Leave out folder contents matching a gitignore-style pattern (repeatable)', collect, [])
+  .option('-i, --include <pattern>', 'Upload matching paths even when an ignore rule excludes them (repeatable)', collect, [])
+  .option('-g, --gitignore', 'Also apply the folder\'s .gitignore files')
+  .option('-a, --archive <format>', 'Upload folders as a single tar.gz or zip archive, compressed on the fly')
+  .option('-E, --encrypt', 'Encrypt on this machine before uploading (the link carries the key)')
+  .option('--passphrase', 'With --encrypt: use a passphrase you choose and share separately instead of a key in the link')
+  .option('-e, --expires <when>', 'Delete after a duration (7d, 24h) or on a date (2025-12-31); "never" to keep (default: DEFAULT_EXPIRY)')
+  .option('-P, --private', 'Upload under an unguessable link that is not listed on the server')
+  .option('-c, --on-conflict <action>', 'When the name already exists: ask, overwrite, skip, rename or fail (default: ON_CONFLICT, ask)')
+  .action((paths, options) => uploadCommand(paths, options));
+
+program
+  .command('sync <local> [remote]')
+  .description('Mirror a local folder to a server folder, uploading only new and changed files (remote defaults to the folder\'s name)')
+  .option('-c, --checksum', 'Compare files by SHA-256 instead of size and modification time')
+  .option('--delete', 'Move server files that are gone locally to the trash')
+  .option('--dry-run', 'Only show the plan')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .option('-j, --jobs <n>', 'Number of files to upload at once (default: UPLOAD_JOBS, 4)')
+  .option('--no-verify', 'Skip SHA-256 verification of uploaded files')
+  .option('-x, --exclude <pattern>', 'Leave out paths matching a gitignore-style pattern (repeatable)', collect, [])
+  .option('-i, --include <pattern>', 'Sync matching paths even when an ignore rule excludes them (repeatable)', collect, [])
+  .option('-g, --gitignore', 'Also apply the folder\'s .gitignore files')
+  .action((local, remote, options) => syncCommand(local, remote, options));
+
+program
+  .command('watch <dir> [remote]')
+  .description('Upload files dropped into a folder once they stop changing, until Ctrl+C (remote defaults to the folder\'s name)')
+  .option('-s, --settle <duration>', 'How long a file must stay unchanged before it is uploaded', '5s')
+  .option('--no-verify', 'Skip SHA-256 verification of uploaded files')
+  .option('-x, --exclude <pattern>', 'Ignore paths matching a gitignore-style pattern (repeatable)', collect, [])
+  .option('-i, --include <pattern>', 'Upload matching paths even when an ignore rule excludes them (repeatable)', collect, [])
+  .option('-g, --gitignore', 'Also apply the folder\'s .gitignore files')
+  .action((dir, remote, options) => watchCommand(dir, remote, options));
+
+program
+  .command('download [names...]')
+  .description('Download files or folders from the server (interactive picker when no names are given)')
+  .option('-o, --out <dir>', 'Directory to download into (default: current directory)')
+  .option('-y, --yes', 'Overwrite existing local files without asking')
+  .option('-j, --jobs <n>', 'Number of files to download at once (default: UPLOAD_JOBS, 4)')
+  .option('-k, --key <passphrase>', 'Passphrase for encrypted files (default: FILESHARE_PASSPHRASE, or asked for)')
+  .option('--no-decrypt', 'Keep encrypted files as they are')
+  .action((names, options) => downloadCommand(names, options));
+
+program
+  .command('list [path]')
+  .alias('ls')
+  .description('List files on the server (optionally inside a folder)')
+  .option('-s, --sort <field>', 'Sort by name, size or date', 'name')
+  .option('-r, --reverse', 'Reverse the sort order')
+  .option('-f, --filter <glob>', 'Only show names matching a glob pattern (e.g. "*.zip")')
+  .option('-t, --type <type>', 'Only show files or directories')
+  .option('-R, --recursive', 'Include the contents of subfolders')
+  .option('--json', 'Print results as JSON for scripts')
+  .action((remotePath, options) => listCommand(remotePath, options));
+
+program
+  .command('delete [paths...]')
+  .description('Move files or folders on the server to the trash, by path or glob pattern (browse the server when none are given)')
+  .option('--dry-run', 'Only show what would be deleted')
+  .option('--permanent', 'Delete for good instead of moving to the trash')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action((paths, options) => deleteCommand(paths, options));
+
+program
+  .command('mv [paths...]')
+  .alias('rename')
+  .description('Rename or move files and folders on the server: mv <source...> <destination> (interactive when no paths are given)')
+  .action((paths) => moveCommand(paths));
+
+program
+  .command('restore <item>')
+  .description('Put a deleted item back (trash id, original path or private share name)')
+  .action((item) => trashCommand('restore', item));
+
+const trash = program
+  .command('trash')
+  .description('Manage deleted items kept on the server');
+
+trash
+  .command('list', { isDefault: true })
+  .alias('ls')
+  .description('List deleted items')
+  .action(() => trashCommand('list'));
+
+trash
+  .command('empty')
+  .description('Permanently delete items in the trash')
+  .option('--older-than <duration>', 'Only items deleted longer ago than this, e.g. 30d')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action((options) => trashCommand('empty', null, options));
+
+program
+  .command('history [query]')
+  .description('List uploads and deletes made from this machine (query: entry number or search text)')
+  .option('-n, --limit <n>', 'Number of entries to show', '20')
+  .option('-a, --action <action>', 'Only show upload, sync or delete entries')
+  .option('--since <duration>', 'Only show entries newer than this, e.g. 24h or 7d')
+  .option('--url', 'Print only the URL of the newest matching entry')
+  .option('--copy', 'Copy the URL of the newest matching entry to the clipboard')
+  .option('--check', 'Flag uploaded items that are no longer on the server')
+  .option('--json', 'Print entries as JSON for scripts')
+  .action((query, options) => historyCommand(query, options));
 
 program
-  .command('delete')
-  .description('Delete files from the server')
-  .action(() => deleteCommand());
+  .command('decrypt <source>')
+  .description('Decrypt a file uploaded with --encrypt (a downloaded file or its link)')
+  .option('-o, --out <path>', 'File or directory to write to (default: next to the input, or the current directory for links)')
+  .option('-k, --key <passphrase>', 'Passphrase (default: the link\'s #key=, FILESHARE_PASSPHRASE, or asked for)')
+  .option('-y, --yes', 'Overwrite an existing output file without asking')
+  .action((source, options) => decryptCommand(source, options));
 
 program
+  .command('link <name>')
+  .description('Print a signed download link that stops working after a time limit')
+  .option('--ttl <duration>', 'How long the link works, e.g. 30m, 24h, 7d', '24h')
+  .action((name, options) => linkCommand(name, options));
+
+program
+  .command('prune')
+  .description('Move uploads whose expiry time has passed to the trash')
+  .option('--dry-run', 'Only show what would be deleted')
+  .option('--permanent', 'Delete for good instead of moving to the trash')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action((options) => pruneCommand(options));
+
+const password = program
   .command('password')
-  .description('Configure password protection for downloads')
-  .action(() => passwordCommand());
+  .description('Manage password protection for downloads');
+
+password
+  .command('status', { isDefault: true })
+  .description('Show whether password protection is enabled and who can log in')
+  .action(() => passwordCommand('status'));
+
+password
+  .command('list')
+  .alias('ls')
+  .description('List users who can log in')
+  .action(() => passwordCommand('list'));
+
+password
+  .command('enable')
+  .description('Require a password for downloads (creates the first user if needed)')
+  .option('--no-reload', 'Only edit the nginx configuration, do not reload nginx')
+  .action((options) => passwordCommand('enable', null, options));
+
+password
+  .command('disable')
+  .description('Stop requiring a password for downloads')
+  .option('--no-reload', 'Only edit the nginx configuration, do not reload nginx')
+  .action((options) => passwordCommand('disable', null, options));
+
+password
+  .command('add <username>')
+  .description('Add a user')
+  .action((username) => passwordCommand('add', username));
+
+password
+  .command('remove <username>')
+  .alias('rm')
+  .description('Remove a user')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action((username, options) => passwordCommand('remove', username, options));
+
+password
+  .command('change <username>')
+  .description('Change a user\'s password')
+  .action((username) => passwordCommand('change', username));
 
 program
   .command('setup')
-  .description('Configure SSH key and server settings')
+  .description('Configure SSH key and server settings for the active profile')
   .action(() => setupCommand());
 
+const profile = program
+  .command('profile')
+  .description('Manage named server profiles');
+
+profile
+  .command('list', { isDefault: true })
+  .alias('ls')
+  .description('List saved profiles and show which one is active')
+  .action(() => profileCommand('list'));
+
+profile
+  .command('add <name>')
+  .description('Add a profile (asks for any value not given as an option)')
+  .option('--host <host>', 'Server host')
+  .option('--port <port>', 'Server port')
+  .option('--user <user>', 'Server user')
+  .option('--dir <path>', 'Server directory')
+  .option('--url <url>', 'Public URL where the server directory is served')
+  .option('--key <name>', 'SSH key name in ~/.ssh')
+  .action((name, options) => profileCommand('add', name, options));
+
+profile
+  .command('use <name>')
+  .description('Make a profile the default for future commands')
+  .action((name) => profileCommand('use', name));
+
+profile
+  .command('remove <name>')
+  .alias('rm')
+  .description('Delete a saved profile')
+  .option('-y, --yes', 'Skip the confirmation prompt')
+  .action((name, options) => profileCommand('remove', name, options));
+
 program
   .command('about')
   .description('Display application information')
@@ -0,0 +1,407 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const Base = require('inquirer/lib/prompts/base');
+const observe = require('inquirer/lib/utils/events');
+const Paginator = require('inquirer/lib/utils/paginator');
+const { formatBytes, formatDateTime, truncateMiddle } = require('./display');
+
+// Longest name shown before it is shortened in the middle
+const MAX_NAME_WIDTH = 40;
+
+/**
+ * Inquirer prompt for browsing local folders and picking a file or folder
+ *
+ * Keys: type to filter the current folder, up/down to move, enter to open a
+ * folder or pick a file, right/left to open a folder or go to the parent,
+ * "~" to jump home and tab to show or hide hidden files. The "./" row
+ * picks the folder being shown.
+ *
+ * With the "multiple" option, space marks items (in any folder) and enter
+ * on a file or "./" picks everything marked.
+ *
+ * Answers with { name, path, isDirectory, size }, or an array of them with
+ * "multiple".
+ */
+class FileBrowserPrompt extends Base {
+  constructor(questions, rl, answers) {
+    super(questions, rl, answers);
+
+    this.directory = this.getStartDirectory();
+    this.showHidden = Boolean(this.opt.showHidden);
+    this.filter = '';
+    this.selected = 0;
+    this.error = null;
+    this.marked = new Map();
+    this.paginator = new Paginator(this.screen, { isInfinite: false });
+
+    this.loadDirectory();
+  }
+
+  _run(cb) {
+    this.done = cb;
+
+    const events = observe(this.rl);
+    events.keypress.forEach(this.onKeypress.bind(this));
+    events.line.forEach(this.onEnter.bind(this));
+
+    this.render();
+
+    return this;
+  }
+
+  /**
+   * Folder shown first
+   */
+  getStartDirectory() {
+    return path.resolve(this.opt.root || process.cwd());
+  }
+
+  /**
+   * Folder above a folder (the root is its own parent)
+   */
+  getParent(directory) {
+    return path.dirname(directory);
+  }
+
+  /**
+   * Folder the "~" key jumps to
+   */
+  getHome() {
+    return os.homedir();
+  }
+
+  /**
+   * Read the current folder: folders first, then files, each sorted by name
+   */
+  loadDirectory() {
+    this.error = null;
+
+    let dirents = [];
+    try {
+      dirents = fs.readdirSync(this.directory, { withFileTypes: true });
+    } catch (error) {
+      this.error = `Cannot open folder: ${error.code || error.message}`;
+    }
+
+    this.entries = dirents
+      .map((dirent) => {
+        const fullPath = path.join(this.directory, dirent.name);
+        try {
+          // stat follows symlinks, so linked folders can be browsed too
+          const stat = fs.statSync(fullPath);
+          return {
+            name: dirent.name,
+            path: fullPath,
+            isDirectory: stat.isDirectory(),
+            size: stat.size,
+            modified: stat.mtimeMs
+          };
+        } catch (error) {
+          return null; // Broken link or no permission
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Rows for the current folder, filter and hidden-file setting
+   */
+  getRows() {
+    const filter = this.filter.toLowerCase();
+    const entries = this.entries.filter(entry =>
+      (this.showHidden || !entry.name.startsWith('.')) &&
+      entry.name.toLowerCase().includes(filter));
+
+    const rows = entries.map(entry => ({ type: 'entry', entry }));
+
+    // Navigation rows only while not filtering, so enter picks the first match
+    if (!filter) {
+      if (this.getParent(this.directory) !== this.directory) {
+        rows.unshift({ type: 'parent' });
+      }
+      rows.unshift({ type: 'current' });
+    }
+
+    return rows;
+  }
+
+  /**
+   * Move to another folder, clearing the filter
+   */
+  changeDirectory(directory) {
+    const previous = this.directory;
+
+    this.directory = directory;
+    this.loadDirectory();
+
+    if (this.error) {
+      const error = this.error;
+      this.directory = previous;
+      this.loadDirectory();
+      this.error = error;
+    }
+
+    this.clearFilter();
+  }
+
+  clearFilter() {
+    this.filter = '';
+    this.selected = 0;
+    this.rl.line = '';
+    this.rl.cursor = 0;
+  }
+
+  onKeypress({ key }) {
+    const rows = this.getRows();
+
+    switch (key.name) {
+      case 'up':
+      case 'down':
+        this.selected = key.name === 'up'
+          ? Math.max(0, this.selected - 1)
+          : Math.min(rows.length - 1, this.selected + 1);
+
+        // Readline treats up/down as history; keep the filter text instead
+        this.rl.line = this.filter;
+        this.rl.cursor = this.filter.length;
+        break;
+
+      case 'right': {
+        const row = rows[this.selected];
+        if (row && row.type !== 'current') {
+          this.open(row);
+        }
+        break;
+      }
+
+      case 'left':
+        this.changeDirectory(this.getParent(this.directory));
+        break;
+
+      case 'space':
+        // Space marks instead of filtering, so keep the filter text as it was
+        this.rl.line = this.filter;
+        this.rl.cursor = this.filter.length;
+
+        if (this.opt.multiple && rows[this.selected]) {
+          this.toggleMark(rows[this.selected]);
+        }
+        break;
+
+      case 'tab':
+        this.showHidden = !this.showHidden;
+        this.clearFilter();
+        break;
+
+      case 'escape':
+        this.clearFilter();
+        break;
+
+      default:
+        // Anything else edits the filter text held by readline
+        if (this.rl.line === '~') {
+          this.changeDirectory(this.getHome());
+          break;
+        }
+
+        if (this.rl.line !== this.filter) {
+          this.filter = this.rl.line;
+          this.selected = 0;
+        }
+    }
+
+    this.render();
+  }
+
+  /**
+   * Mark or unmark a row for a multiple selection
+   */
+  toggleMark(row) {
+    const item = this.getItem(row);
+
+    if (!item) {
+      return;
+    }
+
+    if (this.marked.has(item.path)) {
+      this.marked.delete(item.path);
+    } else {
+      this.marked.set(item.path, item);
+    }
+  }
+
+  /**
+   * Item a row stands for (null for the parent row)
+   */
+  getItem(row) {
+    if (row.type === 'current') {
+      return {
+        name: path.basename(this.directory),
+        path: this.directory,
+        isDirectory: true,
+        size: fs.statSync(this.directory).size
+      };
+    }
+
+    if (row.type === 'entry') {
+      const { name, path: fullPath, isDirectory, size } = row.entry;
+      return { name, path: fullPath, isDirectory, size };
+    }
+
+    return null;
+  }
+
+  /**
+   * Open a folder row (files are left alone)
+   */
+  open(row) {
+    if (row.type === 'parent') {
+      this.changeDirectory(this.getParent(this.directory));
+    } else if (row.entry && row.entry.isDirectory) {
+      this.changeDirectory(row.entry.path);
+    }
+  }
+
+  onEnter() {
+    const row = this.getRows()[this.selected];
+
+    if (!row) {
+      this.clearFilter();
+      this.render();
+      return;
+    }
+
+    if (row.type === 'parent' || (row.type === 'entry' && row.entry.isDirectory)) {
+      this.open(row);
+      this.render();
+      return;
+    }
+
+    if (!this.opt.multiple) {
+      this.submit(this.getItem(row));
+      return;
+    }
+
+    // Marked items win over the row under the cursor
+    this.submit(this.marked.size > 0 ? [...this.marked.values()] : [this.getItem(row)]);
+  }
+
+  submit(answer) {
+    this.status = 'answered';
+    this.answer = answer;
+    this.render();
+
+    this.screen.done();
+    this.done(answer);
+  }
+
+  /**
+   * Folder path with the home directory shortened to "~"
+   */
+  getDisplayPath(directory) {
+    const home = os.homedir();
+    return directory === home || directory.startsWith(home + path.sep)
+      ? '~' + directory.slice(home.length)
+      : directory;
+  }
+
+  formatRow(row, nameWidth) {
+    if (this.opt.multiple) {
+      const item = row.type === 'parent' ? null : { path: row.entry ? row.entry.path : this.directory };
+      const mark = !item ? '    ' : (this.marked.has(item.path) ? chalk.green('[x] ') : '[ ] ');
+      return mark + this.formatName(row, nameWidth);
+    }
+
+    return this.formatName(row, nameWidth);
+  }
+
+  formatName(row, nameWidth) {
+    if (row.type === 'current') {
+      return `./  ${chalk.gray(`(${this.opt.currentLabel || 'upload this folder'}: ${path.basename(this.directory) || this.directory})`)}`;
+    }
+    if (row.type === 'parent') {
+      return `../ ${chalk.gray('(parent folder)')}`;
+    }
+
+    const { entry } = row;
+    const name = truncateMiddle(entry.name + (entry.isDirectory ? '/' : ''), MAX_NAME_WIDTH).padEnd(nameWidth);
+    const size = (entry.isDirectory ? '-' : formatBytes(entry.size)).padStart(10);
+
+    return `${name}  ${chalk.gray(size)}  ${chalk.gray(formatDateTime(entry.modified))}`;
+  }
+
+  render() {
+    let message = this.getQuestion();
+
+    if (this.status === 'answered') {
+      message += chalk.cyan(Array.isArray(this.answer)
+        ? this.answer.map(item => item.name).join(', ')
+        : this.answer.path);
+      this.screen.render(message);
+      return;
+    }
+
+    // The cursor sits after the filter text, which readline keeps in rl.line
+    message += chalk.gray(this.getDisplayPath(this.directory)) + '\n' + chalk.gray('Filter: ') + this.rl.line;
+
+    const rows = this.getRows();
+    const nameWidth = Math.min(MAX_NAME_WIDTH, Math.max(0, ...rows
+      .filter(row => row.entry)
+      .map(row => row.entry.name.length + (row.entry.isDirectory ? 1 : 0))));
+
+    const lines = rows.map((row, index) => {
+      const line = this.formatRow(row, nameWidth);
+      return index === this.selected ? chalk.cyan('❯ ') + line : `  ${line}`;
+    });
+
+    if (rows.length === 0) {
+      lines.push(chalk.yellow(`  ${this.getEmptyText()}`));
+    }
+
+    let bottom = this.paginator.paginate(lines.join('\n'), this.selected, this.opt.pageSize);
+
+    if (this.error) {
+      bottom += '\n' + chalk.red(this.error);
+    }
+    if (this.opt.multiple) {
+      bottom += '\n' + (this.marked.size > 0
+        ? chalk.green(`${this.marked.size} marked, enter on a file or ./ to select them`)
+        : chalk.dim('space to mark several items'));
+    }
+    bottom += '\n' + chalk.dim(`type to filter, enter open/select, left/right parent/open, ~ ${this.getHomeLabel()}, tab ${this.showHidden ? 'hide' : 'show'} hidden files`);
+
+    this.screen.render(message, bottom);
+  }
+
+  /**
+   * Shown in place of the list when it has no rows
+   */
+  getEmptyText() {
+    return this.filter ? 'No names match the filter' : '(empty folder)';
+  }
+
+  getHomeLabel() {
+    return 'home';
+  }
+}
+
+module.exports = FileBrowserPrompt;
@@ -15,6 +15,7 @@
  */
 
 const chalk = require('chalk');
+const { createTransferStats } = require('../utils/progress');
 
 const SEPARATOR = '='.repeat(80);
 
@@ -89,11 +90,143 @@ function displayErrorMessage(message) {
 
 /**
  * Display file upload progress
+ * @param {number} current - Bytes transferred so far
+ * @param {number} total - Total bytes
+ * @param {string} filename - Name shown in the progress line
+ * @param {object} stats - Optional transfer details
+ * @param {number} stats.rate - Throughput in bytes per second
+ * @param {number} stats.eta - Estimated seconds remaining (null if unknown)
+ * @param {number} stats.filesDone - Files completed (folder uploads)
+ * @param {number} stats.filesTotal - Total files (folder uploads)
+ * @param {string} stats.currentFile - File currently transferring (folder transfers)
+ * @param {string} stats.verb - Action shown before the name (default "Uploading")
  */
-function displayProgress(current, total, filename) {
-  const percent = Math.round((current / total) * 100);
-  const bar = '█'.repeat(Math.floor(percent / 2)) + '░'.repeat(50 - Math.floor(percent / 2));
-  process.stdout.write(`\r${chalk.cyan('[*]')} Uploading ${filename}: [${bar}] ${percent}%`);
+function displayProgress(current, total, filename, stats = null) {
+  const percent = total > 0 ? Math.round((current / total) * 100) : 100;
+
+  if (!stats) {
+    const bar = '█'.repeat(Math.floor(percent / 2)) + '░'.repeat(50 - Math.floor(percent / 2));
+    process.stdout.write(`\r${chalk.cyan('[*]')} Uploading ${filename}: [${bar}] ${percent}%`);
+    return;
+  }
+
+  // Shorter bar to leave room for transfer details
+  const filled = Math.floor(percent / 5);
+  const bar = '█'.repeat(filled) + '░'.repeat(20 - filled);
+
+  const parts = [
+    `${formatBytes(current)}/${formatBytes(total)}`,
+    `${formatBytes(stats.rate)}/s`,
+    `ETA ${stats.eta === null ? '--' : formatDuration(stats.eta)}`
+  ];
+
+  if (stats.filesTotal !== undefined) {
+    parts.push(`${stats.filesDone}/${stats.filesTotal} files`);
+  }
+
+  let line = `${chalk.cyan('[*]')} ${stats.verb || 'Uploading'} ${filename}: [${bar}] ${percent}% ${chalk.gray(parts.join('  '))}`;
+
+  if (stats.currentFile) {
+    line += chalk.gray(`  ${truncateMiddle(stats.currentFile, 40)}`);
+  }
+
+  // Clear the rest of the line in case the previous line was longer
+  process.stdout.write(`\r${line}\x1b[K`);
+}
+
+/**
+ * Create a progress callback that tracks rate/ETA and redraws the
+ * progress line at a steady pace
+ * @param {string} verb - Action shown before the name (e.g. "Downloading")
+ * @returns {function} (current, total, name, extraStats) => void
+ */
+function createProgressDisplay(verb = 'Uploading') {
+  let stats = null;
+
+  return (current, total, name, extraStats = {}) => {
+    // The first update marks where a resumed transfer starts from
+    stats = stats || createTransferStats(total, current);
+    stats.update(current);
+
+    if (stats.shouldRedraw(current === total)) {
+      displayProgress(current, total, name, {
+        rate: stats.getRate(),
+        eta: stats.getEta(),
+        verb,
+        ...extraStats
+      });
+    }
+  };
+}
+
+/**
+ * Format bytes to human-readable string
+ */
+function formatBytes(bytes) {
+  if (!bytes || bytes < 1) return '0 Bytes';
+
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+/**
+ * Format seconds as a short duration (e.g. "1h 05m", "3m 12s", "8s")
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, '0')}s`;
+  return `${secs}s`;
+}
+
+/**
+ * Format time until (or since) an expiry, e.g. "in 6d 23h", "expired 2h 05m ago"
+ * @param {string|Date} expiresAt - Expiry time (null or undefined for none)
+ */
+function formatExpiry(expiresAt) {
+  if (!expiresAt) return '-';
+
+  const remaining = (new Date(expiresAt).getTime() - Date.now()) / 1000;
+  const seconds = Math.abs(remaining);
+  const days = Math.floor(seconds / 86400);
+  const text = days > 0
+    ? `${days}d ${Math.floor((seconds % 86400) / 3600)}h`
+    : formatDuration(seconds);
+
+  return remaining > 0 ? `in ${text}` : `expired ${text} ago`;
+}
+
+/**
+ * Shorten a string to maxLength by replacing its middle with "..."
+ */
+function truncateMiddle(text, maxLength) {
+  if (text.length <= maxLength) return text;
+
+  const keep = maxLength - 3;
+  return text.slice(0, Math.ceil(keep / 2)) + '...' + text.slice(text.length - Math.floor(keep / 2));
+}
+
+/**
+ * Display numbered list of files on the server
+ * @param {object[]} files - Items from sftp.listFiles()
+ */
+function displayRemoteFiles(files) {
+  console.log(chalk.cyan('\nFiles on server:\n'));
+  files.forEach((file, index) => {
+    const typeIcon = file.type === 'directory' ? '/' : '';
+    const sizeStr = file.type === 'file' ? ` (${formatBytes(file.size)})` : '';
+    const privateStr = file.private ? chalk.gray(' [private]') : '';
+    const expiryStr = file.expiresAt ? chalk.yellow(` (expires ${formatExpiry(file.expiresAt)})`) : '';
+    console.log(`  ${index + 1}. ${file.name}${typeIcon}${sizeStr}${privateStr}${expiryStr}`);
+  });
+  console.log('');
 }
 
 /**
@@ -107,6 +240,60 @@ function displayUploadComplete(filename, url) {
   console.log('');
 }
 
+/**
+ * Display rows as an aligned table
+ * @param {object[]} columns - [{ label, key, align: 'left'|'right' }]
+ * @param {object[]} rows - Objects holding plain string values for each column key
+ */
+function displayTable(columns, rows) {
+  const widths = columns.map(column => Math.max(
+    column.label.length,
+    ...rows.map(row => String(row[column.key]).length)
+  ));
+
+  const formatRow = (values) => values
+    .map((value, i) => (columns[i].align === 'right'
+      ? String(value).padStart(widths[i])
+      : String(value).padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+
+  console.log('');
+  console.log(chalk.bold(formatRow(columns.map(column => column.label))));
+  console.log(chalk.gray(formatRow(widths.map(width => '-'.repeat(width)))));
+  rows.forEach(row => {
+    console.log(formatRow(columns.map(column => row[column.key])));
+  });
+  console.log('');
+}
+
+/**
+ * Format date in 24-hour time ("Today at HH:MM" or "MMM DD, YYYY HH:MM")
+ */
+function formatDateTime(dateString) {
+  if (!dateString) return 'Not set';
+
+  const date = new Date(dateString);
+  const now = new Date();
+
+  if (date.toDateString() === now.toDateString()) {
+    return `Today at ${date.toLocaleTimeString(undefined, {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    })}`;
+  }
+
+  return date.toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+}
+
 /**
  * Display field (label: value)
  */
@@ -123,6 +310,14 @@ module.exports = {
   displayWarning,
   displayErrorMessage,
   displayProgress,
+  createProgressDisplay,
   displayUploadComplete,
-  displayField
+  displayRemoteFiles,
+  displayTable,
+  displayField,
+  formatBytes,
+  formatDuration,
+  formatExpiry,
+  formatDateTime,
+  truncateMiddle
 };
@@ -0,0 +1,128 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+const FileBrowserPrompt = require('./browser');
+const { SHARES_DIR } = require('../utils/shares');
+
+/**
+ * Inquirer prompt for browsing folders on the server
+ *
+ * Works like the local file browser, with paths relative to SERVER_DIRECTORY
+ * ("" is the top level) and "~" jumping back to the top level. Folders are
+ * read with the "listFolder" option, an async function taking a folder path
+ * and returning listFiles-style items.
+ *
+ * Answers with those items ({ name, path, type, size, modifyTime, ... }),
+ * or an array of them with "multiple".
+ */
+class RemoteBrowserPrompt extends FileBrowserPrompt {
+  getStartDirectory() {
+    return this.opt.root || '';
+  }
+
+  getParent(directory) {
+    const parent = path.posix.dirname(directory);
+
+    // Private shares are listed at the top level, not inside their token folder
+    if (parent === '.' || parent === SHARES_DIR || path.posix.dirname(parent) === SHARES_DIR) {
+      return '';
+    }
+
+    return parent;
+  }
+
+  getHome() {
+    return '';
+  }
+
+  getHomeLabel() {
+    return 'top level';
+  }
+
+  /**
+   * Start reading the current folder; the list renders again once it arrives
+   */
+  loadDirectory() {
+    const directory = this.directory;
+
+    this.error = null;
+    this.entries = [];
+    this.loading = true;
+
+    this.opt.listFolder(directory)
+      .then(items => ({ items }), error => ({ error }))
+      .then(({ items, error }) => {
+        // Ignore a listing that finished after the user moved on
+        if (directory !== this.directory || this.status === 'answered') {
+          return;
+        }
+
+        if (error) {
+          this.error = `Cannot open folder: ${error.message}`;
+        } else {
+          this.entries = items
+            .map(item => ({
+              name: item.private ? `${item.name} (private)` : path.posix.basename(item.path),
+              path: item.path,
+              isDirectory: item.type === 'directory',
+              size: item.size,
+              modified: item.modifyTime,
+              item
+            }))
+            .sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name));
+        }
+
+        this.loading = false;
+        this.render();
+      });
+  }
+
+  changeDirectory(directory) {
+    this.directory = directory;
+    this.loadDirectory();
+    this.clearFilter();
+  }
+
+  getRows() {
+    // The top level itself cannot be picked
+    const rows = super.getRows();
+    return this.directory ? rows : rows.filter(row => row.type !== 'current');
+  }
+
+  getItem(row) {
+    if (row.type === 'current') {
+      return {
+        name: path.posix.basename(this.directory),
+        path: this.directory,
+        type: 'directory'
+      };
+    }
+
+    return row.type === 'entry' ? row.entry.item : null;
+  }
+
+  getDisplayPath(directory) {
+    return `/${directory}`;
+  }
+
+  getEmptyText() {
+    return this.loading ? chalk.gray('Loading...') : super.getEmptyText();
+  }
+}
+
+module.exports = RemoteBrowserPrompt;
@@ -15,9 +15,11 @@
  */
 
 const inquirer = require('inquirer');
-const chalk = require('chalk');
-const fs = require('fs');
-const path = require('path');
+const FileBrowserPrompt = require('./browser');
+const RemoteBrowserPrompt = require('./remote-browser');
+
+inquirer.registerPrompt('file-browser', FileBrowserPrompt);
+inquirer.registerPrompt('remote-browser', RemoteBrowserPrompt);
 
 /**
  * Generic selection
@@ -48,49 +50,82 @@ async function selectItem(items, formatFunction) {
 }
 
 /**
- * Select file or folder from current directory
+ * Browse local folders and pick one or more files and folders to upload
+ * @param {string} directory - Folder to start in
+ * @returns {Promise<object[]>} [{ name, path, isDirectory, size }]
  */
-async function selectFileOrFolder(directory = '.') {
-  const items = fs.readdirSync(directory)
-    .filter(item => !item.startsWith('.')) // Hide hidden files
-    .map(item => {
-      const fullPath = path.join(directory, item);
-      const stat = fs.statSync(fullPath);
-      return {
-        name: item,
-        path: fullPath,
-        isDirectory: stat.isDirectory(),
-        size: stat.size
-      };
-    });
-
-  if (items.length === 0) {
-    console.log(chalk.yellow('\n[!] No files or folders found in current directory\n'));
-    return null;
-  }
+async function selectFilesOrFolders(directory = '.') {
+  const answer = await inquirer.prompt([
+    {
+      type: 'file-browser',
+      name: 'items',
+      message: 'Select files or folders to upload:',
+      root: directory,
+      multiple: true,
+      pageSize: 15
+    }
+  ]);
+  return answer.items;
+}
 
-  const choices = items.map(item => ({
-    name: item.isDirectory ? `${item.name}/ (folder)` : item.name,
-    value: item
-  }));
+/**
+ * Browse folders on the server and pick a file or folder
+ * @param {function} listFolder - Async function listing a folder (path relative to SERVER_DIRECTORY)
+ * @param {string} message - Prompt message
+ * @param {string} currentLabel - What picking the "./" row does (e.g. "move this folder")
+ * @returns {Promise<object>} Item as returned by listFolder
+ */
+async function selectRemoteItem(listFolder, message, currentLabel) {
+  const answer = await inquirer.prompt([
+    {
+      type: 'remote-browser',
+      name: 'item',
+      message,
+      listFolder,
+      currentLabel,
+      pageSize: 15
+    }
+  ]);
+  return answer.item;
+}
 
-  return await select('Select a file or folder to upload:', choices);
+/**
+ * Browse folders on the server and pick one or more files and folders
+ * @param {function} listFolder - Async function listing a folder (path relative to SERVER_DIRECTORY)
+ * @param {string} message - Prompt message
+ * @param {string} currentLabel - What picking the "./" row does (e.g. "delete this folder")
+ * @returns {Promise<object[]>} Items as returned by listFolder
+ */
+async function selectRemoteItems(listFolder, message, currentLabel) {
+  const answer = await inquirer.prompt([
+    {
+      type: 'remote-browser',
+      name: 'items',
+      message,
+      listFolder,
+      currentLabel,
+      multiple: true,
+      pageSize: 15
+    }
+  ]);
+  return answer.items;
 }
 
 /**
  * Select multiple files from server
+ * @param {Array<string|object>} files - Remote file names, or { name, value } choices
+ * @param {string} message - Prompt message
  */
-async function selectMultipleFiles(files) {
-  const choices = files.map(file => ({
-    name: file,
-    value: file
-  }));
+async function selectMultipleFiles(files, message = 'Select files to delete (use space to select):') {
+  const choices = files.map(file => (typeof file === 'string'
+    ? { name: file, value: file }
+    : file));
 
   const answer = await inquirer.prompt([
     {
       type: 'checkbox',
       name: 'selected',
-      message: 'Select files to delete (use space to select):',
+      message: message,
       choices: choices,
       pageSize: 15,
       validate: (answer) => {
@@ -105,6 +140,21 @@ async function selectMultipleFiles(files) {
   return answer.selected;
 }
 
+/**
+ * Ask what to do when an upload's name already exists on the server
+ * @param {string} name - Conflicting remote name
+ * @param {string} renameTo - Free name offered for the rename choice
+ * @returns {Promise<string>} 'overwrite' | 'skip' | 'rename' | 'compare'
+ */
+async function selectConflictAction(name, renameTo) {
+  return await select(`"${name}" already exists on the server. What do you want to do?`, [
+    { name: 'Overwrite the existing item', value: 'overwrite' },
+    { name: 'Skip this upload', value: 'skip' },
+    { name: `Rename to "${renameTo}"`, value: 'rename' },
+    { name: 'Compare local and server versions', value: 'compare' }
+  ]);
+}
+
 /**
  * Confirmation
  */
@@ -122,13 +172,15 @@ async function confirm(message) {
 
 /**
  * Text input with validation
+ * @param {string} defaultValue - Value used when the user just presses enter (optional)
  */
-async function textInput(message, validator) {
+async function textInput(message, validator, defaultValue) {
   const answer = await inquirer.prompt([
     {
       type: 'input',
       name: 'text',
       message: message,
+      default: defaultValue,
       validate: validator || ((input) => input.length > 0 || 'Input cannot be empty')
     }
   ]);
@@ -174,8 +226,11 @@ async function selectAction(actions) {
 module.exports = {
   select,
   selectItem,
-  selectFileOrFolder,
+  selectFilesOrFolders,
+  selectRemoteItem,
+  selectRemoteItems,
   selectMultipleFiles,
+  selectConflictAction,
   confirm,
   textInput,
   passwordInput,
@@ -0,0 +1,435 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform, pipeline } = require('stream');
+
+/**
+ * Streaming folder archives (tar.gz and zip)
+ *
+ * Archives are produced chunk by chunk as the returned stream is read, so a
+ * folder can be written straight into an upload without a temporary file.
+ * Every entry sits below a single root folder, so extracting the archive
+ * recreates the folder.
+ */
+
+// Largest size a ustar header can hold (8 GiB - 1); larger files get a pax header
+const TAR_MAX_SIZE = 0o77777777777;
+
+// Files at least this large get zip64 sizes (leaves room for deflate overhead)
+const ZIP64_THRESHOLD = 0xFFFF0000;
+
+const UINT32_MAX = 0xFFFFFFFF;
+
+/**
+ * Name of the archive file for a folder, e.g. "photos" -> "photos.tar.gz"
+ * Names that already end in the extension are kept
+ */
+function getArchiveName(name, format) {
+  return name.endsWith(`.${format}`) ? name : `${name}.${format}`;
+}
+
+/**
+ * Stream a folder as an archive
+ * @param {string} localPath - Local folder path
+ * @param {object} tree - Folder contents from walkLocalTree
+ * @param {object} options - Archive options
+ * @param {string} options.format - "tar.gz" or "zip"
+ * @param {string} options.rootName - Folder name inside the archive
+ * @param {function} options.onProgress - Called with { bytes, filesDone, currentFile }
+ *   as file contents are read (bytes counts uncompressed input)
+ * @returns {Readable} Archive bytes
+ */
+function createArchiveStream(localPath, tree, options) {
+  const entries = listEntries(localPath, options.rootName, tree);
+  const readFile = createFileReader(options.onProgress || (() => {}));
+
+  if (options.format === 'zip') {
+    return Readable.from(zipEntries(entries, readFile));
+  }
+
+  const gzip = zlib.createGzip();
+  pipeline(Readable.from(tarEntries(entries, readFile)), gzip, () => {});
+  return gzip;
+}
+
+/**
+ * Shared progress tracking for the files read into an archive
+ * @returns {function} (file, transform) => stream of the file's contents
+ */
+function createFileReader(onProgress) {
+  let bytes = 0;
+  let filesDone = 0;
+
+  return (file, ...transforms) => {
+    let read = 0;
+
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        read += chunk.length;
+        bytes += chunk.length;
+
+        // The size was written into the header before the file was read
+        if (read > file.size) {
+          callback(new Error(`${file.relativePath} changed while it was being archived`));
+          return;
+        }
+
+        onProgress({ bytes, filesDone, currentFile: file.relativePath });
+        callback(null, chunk);
+      },
+      flush(callback) {
+        if (read !== file.size) {
+          callback(new Error(`${file.relativePath} changed while it was being archived`));
+          return;
+        }
+
+        filesDone++;
+        onProgress({ bytes, filesDone, currentFile: null });
+        callback();
+      }
+    });
+
+    const streams = [fs.createReadStream(file.path), counter, ...transforms];
+    pipeline(...streams, () => {});
+    return streams[streams.length - 1];
+  };
+}
+
+/**
+ * Entries of a folder in archive order (folders, then files) with their stats
+ */
+async function* listEntries(localPath, rootName, tree) {
+  yield { name: `${rootName}/`, isDirectory: true, stat: await fs.promises.stat(localPath) };
+
+  for (const directory of tree.directories) {
+    const stat = await fs.promises.stat(path.join(localPath, directory));
+    yield { name: `${rootName}/${directory}/`, isDirectory: true, stat };
+  }
+
+  for (const file of tree.files) {
+    yield { name: `${rootName}/${file.relativePath}`, isDirectory: false, file, stat: await fs.promises.stat(file.path) };
+  }
+}
+
+// --- tar ---
+
+/**
+ * Write a number as a NUL-terminated octal field
+ */
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+/**
+ * One 512-byte ustar header block
+ */
+function tarHeader(name, { size = 0, mode = 0o644, mtime, type = '0' }) {
+  const header = Buffer.alloc(512);
+
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, mode & 0o7777, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, Math.min(size, TAR_MAX_SIZE), 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  // Checksum is the byte sum with the checksum field read as spaces
+  header.fill(' ', 148, 156);
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+  return header;
+}
+
+/**
+ * One "length key=value\n" pax record (the length counts itself)
+ */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let length = bodyLength + String(bodyLength).length;
+
+  if (String(length).length !== String(bodyLength).length) {
+    length++;
+  }
+
+  return `${length}${body}`;
+}
+
+/**
+ * Zero bytes that pad an entry's data to a whole block
+ */
+function tarPadding(size) {
+  return Buffer.alloc((512 - (size % 512)) % 512);
+}
+
+/**
+ * Header blocks for an entry, with a pax header first when the name or
+ * size does not fit the ustar fields
+ */
+function tarHeaders(name, fields) {
+  const records = [];
+
+  if (Buffer.byteLength(name) > 100 || /[^\x20-\x7e]/.test(name)) {
+    records.push(paxRecord('path', name));
+  }
+  if (fields.size > TAR_MAX_SIZE) {
+    records.push(paxRecord('size', fields.size));
+  }
+
+  const header = tarHeader(Buffer.from(name).subarray(0, 100).toString('utf8'), fields);
+
+  if (records.length === 0) {
+    return [header];
+  }
+
+  const pax = Buffer.from(records.join(''));
+  const paxName = `PaxHeader/${path.posix.basename(name)}`.slice(0, 100);
+
+  return [tarHeader(paxName, { size: pax.length, type: 'x', mtime: fields.mtime }), pax, tarPadding(pax.length), header];
+}
+
+/**
+ * Uncompressed tar stream of a folder
+ */
+async function* tarEntries(entries, readFile) {
+  for await (const entry of entries) {
+    const { mode, mtime } = entry.stat;
+
+    if (entry.isDirectory) {
+      yield* tarHeaders(entry.name, { mode, mtime, type: '5' });
+      continue;
+    }
+
+    yield* tarHeaders(entry.name, { size: entry.file.size, mode, mtime });
+    yield* readFile(entry.file);
+    yield tarPadding(entry.file.size);
+  }
+
+  // End of archive: two empty blocks
+  yield Buffer.alloc(1024);
+}
+
+// --- zip ---
+
+/**
+ * MS-DOS date and time fields used by zip headers
+ */
+function dosDateTime(date) {
+  if (date.getFullYear() < 1980) {
+    return { time: 0, date: (1 << 5) | 1 };
+  }
+
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// CRC-32 lookup table, built on first use where zlib.crc32 is missing
+let crcTable = null;
+
+/**
+ * Update a CRC-32 with a chunk of data
+ * Uses zlib.crc32 where available (Node 20.15 / 22.2 and later)
+ * @param {Buffer} chunk - Data to add
+ * @param {number} crc - CRC of the data before it (0 to start)
+ */
+function crc32(chunk, crc = 0) {
+  if (typeof zlib.crc32 === 'function') {
+    return zlib.crc32(chunk, crc);
+  }
+
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let value = (crc ^ UINT32_MAX) >>> 0;
+  for (let i = 0; i < chunk.length; i++) {
+    value = crcTable[(value ^ chunk[i]) & 0xFF] ^ (value >>> 8);
+  }
+  return (value ^ UINT32_MAX) >>> 0;
+}
+
+/**
+ * Zip64 extended information extra field
+ */
+function zip64Extra(values) {
+  const extra = Buffer.alloc(4 + values.length * 8);
+  extra.writeUInt16LE(0x0001, 0);
+  extra.writeUInt16LE(values.length * 8, 2);
+  values.forEach((value, index) => extra.writeBigUInt64LE(BigInt(value), 4 + index * 8));
+  return extra;
+}
+
+/**
+ * Zip stream of a folder
+ * File data is deflated as it streams, with sizes and CRC written in a data
+ * descriptor after each file and repeated in the central directory
+ */
+async function* zipEntries(entries, readFile) {
+  const central = [];
+  let offset = 0;
+
+  const emit = (buffer) => {
+    offset += buffer.length;
+    return buffer;
+  };
+
+  for await (const entry of entries) {
+    const name = Buffer.from(entry.name);
+    const { time, date } = dosDateTime(entry.stat.mtime);
+    const zip64 = !entry.isDirectory && entry.file.size >= ZIP64_THRESHOLD;
+    // Bit 3: sizes follow the data; bit 11: UTF-8 names
+    const flags = entry.isDirectory ? 0x0800 : 0x0808;
+    const method = entry.isDirectory ? 0 : 8;
+    const localExtra = zip64 ? zip64Extra([0, 0]) : Buffer.alloc(0);
+    const headerOffset = offset;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(zip64 ? 45 : 20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(zip64 ? UINT32_MAX : 0, 18);
+    local.writeUInt32LE(zip64 ? UINT32_MAX : 0, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(localExtra.length, 28);
+
+    yield emit(Buffer.concat([local, name, localExtra]));
+
+    let crc = 0;
+    let compressedSize = 0;
+    const size = entry.isDirectory ? 0 : entry.file.size;
+
+    if (!entry.isDirectory) {
+      const checksum = new Transform({
+        transform(chunk, encoding, callback) {
+          crc = crc32(chunk, crc);
+          callback(null, chunk);
+        }
+      });
+
+      for await (const chunk of readFile(entry.file, checksum, zlib.createDeflateRaw())) {
+        compressedSize += chunk.length;
+        yield emit(chunk);
+      }
+
+      if (!zip64 && compressedSize > UINT32_MAX) {
+        throw new Error(`${entry.file.relativePath} is too large to compress into a zip`);
+      }
+
+      const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(crc, 4);
+      if (zip64) {
+        descriptor.writeBigUInt64LE(BigInt(compressedSize), 8);
+        descriptor.writeBigUInt64LE(BigInt(size), 16);
+      } else {
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+      }
+
+      yield emit(descriptor);
+    }
+
+    // Values that do not fit 32 bits move into a zip64 extra field
+    const large = [size, compressedSize, headerOffset].map(value => value >= UINT32_MAX);
+    const centralExtra = large.some(Boolean)
+      ? zip64Extra([size, compressedSize, headerOffset].filter((value, index) => large[index]))
+      : Buffer.alloc(0);
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE((3 << 8) | 45, 4); // Made by Unix, zip 4.5
+    header.writeUInt16LE(zip64 || large.some(Boolean) ? 45 : 20, 6);
+    header.writeUInt16LE(flags, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(large[1] ? UINT32_MAX : compressedSize, 20);
+    header.writeUInt32LE(large[0] ? UINT32_MAX : size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt16LE(centralExtra.length, 30);
+    header.writeUInt32LE((((entry.stat.mode & 0xFFFF) << 16) | (entry.isDirectory ? 0x10 : 0)) >>> 0, 38);
+    header.writeUInt32LE(large[2] ? UINT32_MAX : headerOffset, 42);
+
+    central.push(Buffer.concat([header, name, centralExtra]));
+  }
+
+  const centralOffset = offset;
+  for (const header of central) {
+    yield emit(header);
+  }
+  const centralSize = offset - centralOffset;
+
+  const needsZip64 = central.length > 0xFFFF || centralOffset >= UINT32_MAX || centralSize >= UINT32_MAX;
+
+  if (needsZip64) {
+    const zip64EndOffset = offset;
+
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE((3 << 8) | 45, 12);
+    record.writeUInt16LE(45, 14);
+    record.writeBigUInt64LE(BigInt(central.length), 24);
+    record.writeBigUInt64LE(BigInt(central.length), 32);
+    record.writeBigUInt64LE(BigInt(centralSize), 40);
+    record.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(zip64EndOffset), 8);
+    locator.writeUInt32LE(1, 16);
+
+    yield emit(Buffer.concat([record, locator]));
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(central.length, 0xFFFF), 8);
+  end.writeUInt16LE(Math.min(central.length, 0xFFFF), 10);
+  end.writeUInt32LE(needsZip64 ? UINT32_MAX : centralSize, 12);
+  end.writeUInt32LE(needsZip64 ? UINT32_MAX : centralOffset, 16);
+
+  yield emit(end);
+}
+
+// Formats accepted by "upload --archive"
+const ARCHIVE_FORMATS = ['tar.gz', 'zip'];
+
+module.exports = {
+  createArchiveStream,
+  getArchiveName,
+  ARCHIVE_FORMATS
+};
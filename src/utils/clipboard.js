@@ -0,0 +1,45 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { spawnSync } = require('child_process');
+
+// Clipboard commands to try, by platform
+const CLIPBOARD_COMMANDS = {
+  darwin: [['pbcopy']],
+  win32: [['clip']],
+  default: [
+    ['wl-copy'],
+    ['xclip', '-selection', 'clipboard'],
+    ['xsel', '--clipboard', '--input']
+  ]
+};
+
+/**
+ * Copy text to the system clipboard
+ * @returns {boolean} false when no clipboard command is available
+ */
+function copyToClipboard(text) {
+  const commands = CLIPBOARD_COMMANDS[process.platform] || CLIPBOARD_COMMANDS.default;
+
+  return commands.some(([command, ...args]) => {
+    const result = spawnSync(command, args, { input: text, stdio: ['pipe', 'ignore', 'ignore'], timeout: 5000 });
+    return !result.error && result.status === 0;
+  });
+}
+
+module.exports = {
+  copyToClipboard
+};
@@ -20,91 +20,249 @@ const os = require('os');
 
 // Configuration directory in user's home directory
 const CONFIG_DIR = path.join(os.homedir(), '.fileshare');
-const ENV_PATH = path.join(CONFIG_DIR, '.env');
+
+// One .env file per named server profile
+const PROFILES_DIR = path.join(CONFIG_DIR, 'profiles');
+
+// Name of the profile used when none is selected
+const ACTIVE_PROFILE_PATH = path.join(CONFIG_DIR, 'active-profile');
+
+// Single-profile configuration from earlier versions (migrated on load)
+const LEGACY_ENV_PATH = path.join(CONFIG_DIR, '.env');
+
+const DEFAULT_PROFILE = 'default';
+
+// Public URL earlier versions used when none was configured
+const LEGACY_PUBLIC_BASE_URL = 'https://fileshare.ct-42210.com';
 
 // Default configuration values
-// Note: Update these in ~/.fileshare/.env or via 'fileshare setup'
+// Note: Update these in ~/.fileshare/profiles/<name>.env or via 'fileshare setup'
 const DEFAULTS = {
   SSH_KEY_NAME: 'id_ed25519',
   SERVER_USER: 'root',
   SERVER_HOST: 'your-server-host.com',
   SERVER_DIRECTORY: '/root/fileshare',
-  SERVER_PORT: '22'
+  SERVER_PORT: '22',
+  // PUBLIC_BASE_URL has no default: links must point at the user's own server
+  UPLOAD_JOBS: '4',
+  ON_CONFLICT: 'ask',
+  DEFAULT_EXPIRY: 'never',
+  SIGNED_LINK_DIR: 'protected',
+  HTPASSWD_PATH: '/etc/nginx/.htpasswd',
+  NGINX_CONF_PATH: '/etc/nginx/sites-available/fileshare',
+  NGINX_RELOAD_COMMAND: 'nginx -t && systemctl reload nginx'
 };
 
+// What to do when an upload's name already exists on the server
+const CONFLICT_MODES = ['ask', 'overwrite', 'skip', 'rename', 'fail'];
+
+// Values loaded from the active profile
+let values = {};
+
+// Active profile and where it was chosen ('flag', 'env', 'saved' or 'default')
+let profileName = DEFAULT_PROFILE;
+let profileSource = 'default';
+
 /**
  * Initialize configuration directory
  */
 function initConfigDir() {
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+  if (!fs.existsSync(PROFILES_DIR)) {
+    fs.mkdirSync(PROFILES_DIR, { recursive: true });
   }
 }
 
 /**
- * Load configuration from .env file
+ * Move a single-profile ~/.fileshare/.env into the "default" profile
+ * Earlier versions built links from a fixed address when no public URL was
+ * set, so that address is written into the profile to keep links working
  */
-function loadConfig() {
-  initConfigDir();
+function migrateLegacyConfig() {
+  if (!fs.existsSync(LEGACY_ENV_PATH) || fs.readdirSync(PROFILES_DIR).length > 0) {
+    return;
+  }
 
-  if (fs.existsSync(ENV_PATH)) {
-    require('dotenv').config({ path: ENV_PATH, quiet: true });
-  } else {
-    // Initialize with defaults if config doesn't exist
-    Object.entries(DEFAULTS).forEach(([key, value]) => {
-      if (!process.env[key]) {
-        process.env[key] = value;
-      }
-    });
+  const profilePath = getProfilePath(DEFAULT_PROFILE);
+  fs.renameSync(LEGACY_ENV_PATH, profilePath);
+
+  if (!readProfile(DEFAULT_PROFILE).PUBLIC_BASE_URL) {
+    const content = fs.readFileSync(profilePath, 'utf8');
+    const separator = content.length > 0 && !content.endsWith('\n') ? '\n' : '';
+    fs.appendFileSync(profilePath, `${separator}PUBLIC_BASE_URL=${quoteValue(LEGACY_PUBLIC_BASE_URL)}\n`);
   }
+
+  fs.writeFileSync(ACTIVE_PROFILE_PATH, DEFAULT_PROFILE + '\n');
 }
 
 /**
- * Save configuration to .env file
+ * Load configuration from the active profile
+ * The profile is chosen by the --profile flag, then FILESHARE_PROFILE,
+ * then the one saved by 'fileshare profile use'
+ * @param {string} name - Profile from the --profile flag (optional)
  */
-function saveConfig(key, value) {
+function loadConfig(name = null) {
   initConfigDir();
+  migrateLegacyConfig();
+
+  if (name) {
+    profileName = name;
+    profileSource = 'flag';
+  } else if (process.env.FILESHARE_PROFILE) {
+    profileName = process.env.FILESHARE_PROFILE;
+    profileSource = 'env';
+  } else {
+    profileName = getSavedProfile();
+    profileSource = fs.existsSync(ACTIVE_PROFILE_PATH) ? 'saved' : 'default';
+  }
+
+  values = readProfile(profileName);
+}
 
-  let envContent = '';
+/**
+ * Read the values stored in a profile (empty when it does not exist)
+ */
+function readProfile(name) {
+  const profilePath = getProfilePath(name);
 
-  // Read existing config
-  if (fs.existsSync(ENV_PATH)) {
-    envContent = fs.readFileSync(ENV_PATH, 'utf8');
+  if (!fs.existsSync(profilePath)) {
+    return {};
   }
 
-  // Parse existing lines
-  const lines = envContent.split('\n');
-  const updated = {};
-
-  lines.forEach(line => {
-    const trimmedLine = line.trim();
-    if (trimmedLine && !trimmedLine.startsWith('#')) {
-      const [k, ...rest] = trimmedLine.split('=');
-      if (k) {
-        updated[k.trim()] = rest.join('=').trim();
-      }
-    }
-  });
-
-  // Update value
-  updated[key] = value;
-
-  // Write back
-  const newContent = Object.entries(updated)
-    .map(([k, v]) => `${k}=${v}`)
+  return require('dotenv').parse(fs.readFileSync(profilePath, 'utf8'));
+}
+
+/**
+ * Write a profile's values to disk
+ */
+function writeProfile(name, profileValues) {
+  initConfigDir();
+
+  const content = Object.entries(profileValues)
+    .map(([k, v]) => `${k}=${quoteValue(v)}`)
     .join('\n') + '\n';
 
-  fs.writeFileSync(ENV_PATH, newContent);
+  fs.writeFileSync(getProfilePath(name), content);
+}
 
-  // Update process.env
-  process.env[key] = value;
+/**
+ * Quote a value so dotenv reads it back unchanged (e.g. with "#" or spaces)
+ * Single quotes are taken literally; double quotes or backticks are used
+ * only when the value itself contains a single quote
+ */
+function quoteValue(value) {
+  const text = String(value);
+  const quote = ["'", '"', '`'].find(q => !text.includes(q)) || "'";
+  return `${quote}${text}${quote}`;
+}
+
+/**
+ * Save a configuration value to the active profile
+ */
+function saveConfig(key, value) {
+  const updated = { ...readProfile(profileName), [key]: value };
+  writeProfile(profileName, updated);
+
+  values[key] = value;
 }
 
 /**
  * Get configuration value
+ * Environment variables take precedence over the active profile, except
+ * when the profile was chosen for this run (--profile or FILESHARE_PROFILE),
+ * so an exported SERVER_HOST cannot send a command to the wrong server
  */
 function getConfig(key) {
-  return process.env[key] || DEFAULTS[key];
+  if (profileSource === 'flag' || profileSource === 'env') {
+    return values[key] || process.env[key] || DEFAULTS[key];
+  }
+
+  return process.env[key] || values[key] || DEFAULTS[key];
+}
+
+/**
+ * Path of a profile's .env file
+ */
+function getProfilePath(name = profileName) {
+  return path.join(PROFILES_DIR, `${name}.env`);
+}
+
+/**
+ * Name of the profile in use and how it was chosen
+ * @returns {{name: string, source: string}}
+ */
+function getActiveProfile() {
+  return { name: profileName, source: profileSource };
+}
+
+/**
+ * Names of all saved profiles, sorted
+ */
+function listProfiles() {
+  initConfigDir();
+
+  return fs.readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.env'))
+    .map(file => file.slice(0, -'.env'.length))
+    .sort();
+}
+
+/**
+ * Check whether a profile has been saved
+ */
+function profileExists(name) {
+  return fs.existsSync(getProfilePath(name));
+}
+
+/**
+ * Check a profile name is safe to use as a file name
+ * @returns {true|string} true, or a message describing the problem
+ */
+function validateProfileName(name) {
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+    return 'Profile names may only contain letters, numbers, ".", "_" and "-"';
+  }
+  return true;
+}
+
+/**
+ * Create a profile
+ * @param {string} name - Profile name
+ * @param {object} profileValues - Configuration values (KEY: value)
+ */
+function addProfile(name, profileValues) {
+  writeProfile(name, profileValues);
+}
+
+/**
+ * Make a profile the default for future commands
+ */
+function useProfile(name) {
+  initConfigDir();
+  fs.writeFileSync(ACTIVE_PROFILE_PATH, name + '\n');
+}
+
+/**
+ * Delete a saved profile
+ */
+function removeProfile(name) {
+  fs.unlinkSync(getProfilePath(name));
+}
+
+/**
+ * Name of the profile saved by 'fileshare profile use'
+ */
+function getSavedProfile() {
+  if (!fs.existsSync(ACTIVE_PROFILE_PATH)) {
+    return DEFAULT_PROFILE;
+  }
+  return fs.readFileSync(ACTIVE_PROFILE_PATH, 'utf8').trim() || DEFAULT_PROFILE;
+}
+
+/**
+ * Read one value from any profile, falling back to defaults
+ */
+function getProfileValue(name, key) {
+  return readProfile(name)[key] || DEFAULTS[key];
 }
 
 /**
@@ -133,7 +291,11 @@ function getAllConfig() {
     serverUser: getConfig('SERVER_USER'),
     serverHost: getConfig('SERVER_HOST'),
     serverDirectory: getConfig('SERVER_DIRECTORY'),
-    serverPort: getConfig('SERVER_PORT')
+    serverPort: getConfig('SERVER_PORT'),
+    publicBaseUrl: getConfig('PUBLIC_BASE_URL'),
+    uploadJobs: getConfig('UPLOAD_JOBS'),
+    onConflict: getConfig('ON_CONFLICT'),
+    defaultExpiry: getConfig('DEFAULT_EXPIRY')
   };
 }
 
@@ -144,6 +306,17 @@ module.exports = {
   getSSHKeyPath,
   isConfigured,
   getAllConfig,
-  CONFIG_DIR,
-  ENV_PATH
+  getProfilePath,
+  getActiveProfile,
+  getSavedProfile,
+  getProfileValue,
+  listProfiles,
+  profileExists,
+  validateProfileName,
+  addProfile,
+  useProfile,
+  removeProfile,
+  CONFLICT_MODES,
+  DEFAULTS,
+  CONFIG_DIR
 };
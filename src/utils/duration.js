@@ -0,0 +1,99 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Milliseconds per unit accepted in durations such as "7d" or "1h30m"
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as "30m", "24h", "7d", "2w" or "1d12h"
+ * @returns {number|null} Milliseconds, or null when the input is not a duration
+ */
+function parseDuration(input) {
+  const text = String(input).trim().toLowerCase();
+
+  if (!/^(\d+[smhdw])+$/.test(text)) {
+    return null;
+  }
+
+  let total = 0;
+  for (const [, amount, unit] of text.matchAll(/(\d+)([smhdw])/g)) {
+    total += parseInt(amount) * UNITS[unit];
+  }
+
+  return total > 0 ? total : null;
+}
+
+/**
+ * Check that text starts with a real calendar date ("2027-02-30" is not),
+ * since Date rolls impossible days over into the next month
+ */
+function isCalendarDate(text) {
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return false;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Parse an expiry given as a duration from now ("7d") or an absolute date
+ * ("2025-12-31" or "2025-12-31T18:00")
+ * @param {string} input - Duration, date, or "never"
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Date|null} Expiry time, or null for "never"
+ * @throws {Error} When the input cannot be parsed or is in the past
+ */
+function parseExpiry(input, now = new Date()) {
+  const text = String(input).trim();
+
+  if (text.toLowerCase() === 'never') {
+    return null;
+  }
+
+  const duration = parseDuration(text);
+  if (duration !== null) {
+    return new Date(now.getTime() + duration);
+  }
+
+  // Date-only input means the end of that day, local time
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = dateOnly
+    ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]), 23, 59, 59)
+    : new Date(text);
+
+  if (!isCalendarDate(text) || isNaN(date.getTime())) {
+    throw new Error(`Invalid expiry "${input}" (use a duration like 7d or 24h, a date like 2025-12-31, or "never")`);
+  }
+
+  if (date <= now) {
+    throw new Error(`Expiry "${input}" is in the past`);
+  }
+
+  return date;
+}
+
+module.exports = {
+  parseDuration,
+  parseExpiry
+};
@@ -0,0 +1,334 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Client-side encryption for uploads
+ *
+ * Encrypted files start with a header (magic, scrypt parameters, salt and a
+ * random nonce prefix) followed by the content in 64 KiB chunks, each sealed
+ * with AES-256-GCM. A chunk's nonce is the prefix, the chunk number and a
+ * flag marking the final chunk, and every chunk authenticates the header,
+ * so reordered, truncated or tampered files fail to decrypt.
+ */
+
+// "FSHRENC" and format version 1
+const MAGIC = Buffer.from('FSHRENC\x01', 'latin1');
+
+const SALT_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 7;
+const HEADER_LENGTH = MAGIC.length + 4 + SALT_LENGTH + NONCE_PREFIX_LENGTH;
+const TAG_LENGTH = 16;
+const CHUNK_SIZE_LOG2 = 16;
+
+// scrypt cost for new files (N = 2^15, 32 MiB of memory)
+const SCRYPT_PARAMS = { logN: 15, r: 8, p: 1 };
+
+// Suffix added to the names of encrypted uploads
+const ENCRYPTED_EXTENSION = '.enc';
+
+// URL fragment parameter that carries the passphrase ("...#key=...")
+const KEY_PARAM = 'key';
+
+/**
+ * Random passphrase for links that carry their own key
+ */
+function generatePassphrase() {
+  return crypto.randomBytes(16).toString('base64url');
+}
+
+/**
+ * Derive a 256-bit key from a passphrase with scrypt
+ */
+function deriveKey(passphrase, salt, { logN, r, p }) {
+  const N = 2 ** logN;
+
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r }, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Derive the key used to encrypt new files
+ * The result can be shared by several uploads; each file still gets its
+ * own nonce prefix
+ * @returns {Promise<{key: Buffer, salt: Buffer, params: object}>}
+ */
+async function createEncryptionKey(passphrase) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await deriveKey(passphrase, salt, SCRYPT_PARAMS);
+
+  return { key, salt, params: SCRYPT_PARAMS };
+}
+
+/**
+ * Nonce for one chunk: prefix, chunk number and final-chunk flag
+ */
+function chunkNonce(prefix, counter, last) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(counter, NONCE_PREFIX_LENGTH);
+  nonce[11] = last ? 1 : 0;
+  return nonce;
+}
+
+/**
+ * Transform stream that encrypts its input
+ * @param {object} encryptionKey - Result of createEncryptionKey
+ */
+function createEncryptStream({ key, salt, params }) {
+  const chunkSize = 2 ** CHUNK_SIZE_LOG2;
+  const prefix = crypto.randomBytes(NONCE_PREFIX_LENGTH);
+  const header = Buffer.concat([
+    MAGIC,
+    Buffer.from([params.logN, params.r, params.p, CHUNK_SIZE_LOG2]),
+    salt,
+    prefix
+  ]);
+
+  let pending = Buffer.alloc(0);
+  let counter = 0;
+  let started = false;
+
+  const seal = (plaintext, last) => {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, chunkNonce(prefix, counter++, last));
+    cipher.setAAD(header);
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  };
+
+  const start = (stream) => {
+    if (!started) {
+      stream.push(header);
+      started = true;
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      start(this);
+      pending = Buffer.concat([pending, chunk]);
+
+      // Hold back the last full chunk until we know whether more follows
+      while (pending.length > chunkSize) {
+        this.push(seal(pending.subarray(0, chunkSize), false));
+        pending = pending.subarray(chunkSize);
+      }
+
+      callback();
+    },
+    flush(callback) {
+      start(this);
+      this.push(seal(pending, true));
+      callback();
+    }
+  });
+}
+
+/**
+ * Read the header of an encrypted file
+ * @returns {object|null} Header fields, or null when the bytes are not an encrypted file
+ */
+function parseHeader(buffer) {
+  if (buffer.length < HEADER_LENGTH || !buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+    return null;
+  }
+
+  const offset = MAGIC.length;
+  const [logN, r, p, chunkSizeLog2] = buffer.subarray(offset, offset + 4);
+
+  // Refuse costs that would use unreasonable memory or time
+  if (logN < 10 || logN > 22 || r < 1 || r > 32 || p < 1 || p > 16 || chunkSizeLog2 < 10 || chunkSizeLog2 > 24) {
+    throw new Error('Unsupported encryption parameters in file header');
+  }
+
+  return {
+    raw: buffer.subarray(0, HEADER_LENGTH),
+    params: { logN, r, p },
+    chunkSize: 2 ** chunkSizeLog2,
+    salt: buffer.subarray(offset + 4, offset + 4 + SALT_LENGTH),
+    prefix: buffer.subarray(offset + 4 + SALT_LENGTH, HEADER_LENGTH)
+  };
+}
+
+/**
+ * Transform stream that decrypts a file written by createEncryptStream
+ * @param {string} passphrase - Passphrase the file was encrypted with
+ */
+function createDecryptStream(passphrase) {
+  let buffer = Buffer.alloc(0);
+  let header = null;
+  let key = null;
+  let counter = 0;
+
+  const open = (data, last) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, chunkNonce(header.prefix, counter++, last));
+    decipher.setAAD(header.raw);
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+
+    try {
+      return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_LENGTH)), decipher.final()]);
+    } catch (error) {
+      throw new Error('Could not decrypt: wrong passphrase, or the file is damaged or incomplete');
+    }
+  };
+
+  // Decrypt every chunk that is known not to be the last one
+  const drain = (stream) => {
+    const sealedSize = header.chunkSize + TAG_LENGTH;
+
+    while (buffer.length > sealedSize) {
+      stream.push(open(buffer.subarray(0, sealedSize), false));
+      buffer = buffer.subarray(sealedSize);
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      try {
+        if (key) {
+          drain(this);
+          callback();
+          return;
+        }
+
+        if (buffer.length < HEADER_LENGTH) {
+          callback();
+          return;
+        }
+
+        header = parseHeader(buffer);
+        if (!header) {
+          throw new Error('Not an encrypted file (missing header)');
+        }
+
+        deriveKey(passphrase, header.salt, header.params)
+          .then((derived) => {
+            key = derived;
+            buffer = buffer.subarray(HEADER_LENGTH);
+            drain(this);
+            callback();
+          })
+          .catch(callback);
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        if (!key || buffer.length < TAG_LENGTH) {
+          throw new Error('Encrypted file is incomplete');
+        }
+
+        this.push(open(buffer, true));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+/**
+ * Check whether a local file starts with the encryption header
+ */
+async function isEncryptedFile(localPath) {
+  const handle = await fs.promises.open(localPath, 'r');
+
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(MAGIC.length), 0, MAGIC.length, 0);
+    return bytesRead === MAGIC.length && buffer.equals(MAGIC);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Decrypt a stream into a local file
+ * Written through "<path>.partial" so a failed decryption never leaves a
+ * half-written file under the final name
+ * @param {Readable} source - Encrypted bytes
+ * @param {string} outputPath - Local file to create
+ * @param {string} passphrase - Passphrase the file was encrypted with
+ * @param {function} onBytes - Called with the encrypted bytes read so far
+ */
+async function decryptToFile(source, outputPath, passphrase, onBytes = () => {}) {
+  const partialPath = `${outputPath}.partial`;
+  let read = 0;
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      read += chunk.length;
+      onBytes(read);
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(source, counter, createDecryptStream(passphrase), fs.createWriteStream(partialPath));
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw error;
+  }
+
+  fs.renameSync(partialPath, outputPath);
+}
+
+/**
+ * Name of the decrypted file, e.g. "report.pdf.enc" -> "report.pdf"
+ */
+function getDecryptedName(name) {
+  return name.toLowerCase().endsWith(ENCRYPTED_EXTENSION) && name.length > ENCRYPTED_EXTENSION.length
+    ? name.slice(0, -ENCRYPTED_EXTENSION.length)
+    : `${name}.decrypted`;
+}
+
+/**
+ * Link that carries the passphrase in its fragment, which browsers and
+ * HTTP clients never send to the server
+ */
+function getKeyLink(url, passphrase) {
+  return `${url}#${KEY_PARAM}=${encodeURIComponent(passphrase)}`;
+}
+
+/**
+ * Passphrase carried in a link's fragment (null when there is none)
+ */
+function getKeyFromLink(url) {
+  const hash = new URL(url).hash.slice(1);
+  return new URLSearchParams(hash).get(KEY_PARAM);
+}
+
+module.exports = {
+  generatePassphrase,
+  createEncryptionKey,
+  createEncryptStream,
+  createDecryptStream,
+  isEncryptedFile,
+  decryptToFile,
+  getDecryptedName,
+  getKeyLink,
+  getKeyFromLink,
+  ENCRYPTED_EXTENSION
+};
@@ -16,6 +16,14 @@
 
 const chalk = require('chalk');
 
+// Process exit codes (scripts can tell these outcomes apart)
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  PARTIAL_FAILURE: 2,
+  CONFIG_ERROR: 3
+};
+
 /**
  * CRITICAL: NEVER truncate errors
  * Always display complete error messages with full stack traces
@@ -66,10 +74,27 @@ function displayError(error) {
  * Require configuration check
  */
 function requireConfig(config) {
+  const profile = config.getActiveProfile();
+
+  // A profile asked for by name must exist; the default one may not be saved yet
+  if (profile.source !== 'default' && !config.profileExists(profile.name)) {
+    console.error(chalk.red(`\n[!] Profile "${profile.name}" does not exist. See available profiles with:`));
+    console.error(chalk.yellow('  fileshare profile list\n'));
+    process.exit(EXIT_CODES.CONFIG_ERROR);
+  }
+
   if (!config.isConfigured()) {
     console.error(chalk.red('\n[!] SSH key not found. Please run:'));
     console.error(chalk.yellow('  fileshare setup\n'));
-    process.exit(1);
+    process.exit(EXIT_CODES.CONFIG_ERROR);
+  }
+
+  if (!config.getConfig('PUBLIC_BASE_URL')) {
+    console.error(chalk.red('\n[!] Public URL not set (the address your server directory is served at).'));
+    console.error(chalk.gray('    Earlier versions used https://fileshare.ct-42210.com when none was set; links are now only built from your own.'));
+    console.error(chalk.red('    Set it with "Change public URL" in:'));
+    console.error(chalk.yellow('  fileshare setup\n'));
+    process.exit(EXIT_CODES.CONFIG_ERROR);
   }
 }
 
@@ -78,7 +103,7 @@ function requireConfig(config) {
  */
 function displayValidationError(message) {
   console.error(chalk.red(`\n[X] ${message}\n`));
-  process.exit(1);
+  process.exit(EXIT_CODES.FAILURE);
 }
 
 /**
@@ -89,6 +114,7 @@ function displayWarning(message) {
 }
 
 module.exports = {
+  EXIT_CODES,
   displayError,
   requireConfig,
   displayValidationError,
@@ -0,0 +1,87 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Walk a local folder and collect every file and subfolder
+ * Relative paths always use "/" so they can be joined onto remote paths
+ * @param {string} rootPath - Local folder path
+ * @param {object} options - Walk options
+ * @param {function} options.ignore - (relativePath, isDirectory) => true to leave a path out
+ * @returns {{files: object[], directories: string[], totalBytes: number, excluded: object}}
+ *   excluded holds the file count, byte count and top-most paths that were left out
+ */
+function walkLocalTree(rootPath, options = {}) {
+  const files = [];
+  const directories = [];
+  const excluded = { files: 0, bytes: 0, paths: [] };
+  let totalBytes = 0;
+
+  // Count what an excluded folder holds so the total can be reported
+  const countExcluded = (dirPath) => {
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      const fullPath = path.join(dirPath, entry.name);
+
+      if (entry.isDirectory()) {
+        countExcluded(fullPath);
+      } else if (entry.isFile()) {
+        excluded.files++;
+        excluded.bytes += fs.statSync(fullPath).size;
+      }
+    }
+  };
+
+  const visit = (dirPath, relativeDir) => {
+    const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+      if (options.ignore && (entry.isDirectory() || entry.isFile()) && options.ignore(relativePath, entry.isDirectory())) {
+        excluded.paths.push(entry.isDirectory() ? `${relativePath}/` : relativePath);
+
+        if (entry.isDirectory()) {
+          countExcluded(fullPath);
+        } else {
+          excluded.files++;
+          excluded.bytes += fs.statSync(fullPath).size;
+        }
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        directories.push(relativePath);
+        visit(fullPath, relativePath);
+      } else if (entry.isFile()) {
+        const { size, mtimeMs } = fs.statSync(fullPath);
+        files.push({ path: fullPath, relativePath, size, mtimeMs });
+        totalBytes += size;
+      }
+    }
+  };
+
+  visit(rootPath, '');
+
+  return { files, directories, totalBytes, excluded };
+}
+
+module.exports = {
+  walkLocalTree
+};
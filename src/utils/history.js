@@ -0,0 +1,91 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Uploads and deletes made from this machine, one JSON object per line
+const HISTORY_PATH = path.join(config.CONFIG_DIR, 'history');
+
+/**
+ * Append an entry to the history
+ * Adds the time and the active server profile; recording never fails the
+ * command that made the change
+ * @param {object} entry - Entry details
+ * @param {string} entry.action - 'upload', 'sync' or 'delete'
+ * @param {string} entry.remotePath - Path relative to SERVER_DIRECTORY
+ * @param {string} entry.localPath - Local file or folder (uploads only)
+ * @param {number} entry.size - Size in bytes
+ * @param {string} entry.url - Public URL (for encrypted uploads including the
+ *   "#key=" fragment, which is why the file is only readable by its owner)
+ */
+function recordHistory(entry) {
+  const record = {
+    time: new Date().toISOString(),
+    ...entry,
+    name: entry.name || path.posix.basename(entry.remotePath),
+    profile: config.getActiveProfile().name,
+    serverHost: config.getConfig('SERVER_HOST'),
+    serverDirectory: config.getConfig('SERVER_DIRECTORY')
+  };
+
+  try {
+    fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+    fs.appendFileSync(HISTORY_PATH, JSON.stringify(record) + '\n', { mode: 0o600 });
+    fs.chmodSync(HISTORY_PATH, 0o600);
+  } catch (error) {
+    // History is a convenience; the upload or delete itself succeeded
+  }
+}
+
+/**
+ * Read the history, oldest first
+ * Each entry gets an id (its line number) that stays the same as entries
+ * are added
+ * @returns {object[]} Entries with their id
+ */
+function readHistory() {
+  if (!fs.existsSync(HISTORY_PATH)) {
+    return [];
+  }
+
+  return fs.readFileSync(HISTORY_PATH, 'utf8')
+    .split('\n')
+    .map((line, index) => {
+      try {
+        return line.trim() ? { id: index + 1, ...JSON.parse(line) } : null;
+      } catch (error) {
+        return null; // Line cut short by an interrupted write
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Check whether an entry was made against the configured server
+ */
+function isCurrentServer(entry) {
+  return entry.serverHost === config.getConfig('SERVER_HOST') &&
+    entry.serverDirectory === config.getConfig('SERVER_DIRECTORY');
+}
+
+module.exports = {
+  recordHistory,
+  readHistory,
+  isCurrentServer,
+  HISTORY_PATH
+};
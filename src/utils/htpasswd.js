@@ -0,0 +1,132 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const crypto = require('crypto');
+
+// Characters used by crypt(3)-style hashes
+const ITOA64 = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const APR1_MAGIC = '$apr1$';
+
+/**
+ * MD5 digest of several buffers/strings
+ */
+function md5(...parts) {
+  const hash = crypto.createHash('md5');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+/**
+ * Encode the low `count` 6-bit groups of a number with ITOA64
+ */
+function to64(value, count) {
+  let result = '';
+  for (let i = 0; i < count; i++) {
+    result += ITOA64[value & 0x3f];
+    value >>= 6;
+  }
+  return result;
+}
+
+/**
+ * Apache MD5 ("$apr1$") hash, as produced by "htpasswd -m"
+ * @param {string} password - Plain-text password
+ * @param {string} salt - Up to 8 ITOA64 characters (random when omitted)
+ */
+function hashPassword(password, salt = generateSalt()) {
+  const pw = Buffer.from(password, 'utf8');
+  salt = salt.slice(0, 8);
+
+  let final = md5(pw, salt, pw);
+
+  const parts = [pw, APR1_MAGIC, salt];
+  for (let remaining = pw.length; remaining > 0; remaining -= 16) {
+    parts.push(final.subarray(0, Math.min(16, remaining)));
+  }
+  for (let i = pw.length; i > 0; i >>= 1) {
+    parts.push(i & 1 ? Buffer.alloc(1) : pw.subarray(0, 1));
+  }
+  final = md5(...parts);
+
+  // 1000 rounds to slow down brute force
+  for (let i = 0; i < 1000; i++) {
+    final = md5(
+      i & 1 ? pw : final,
+      i % 3 ? salt : '',
+      i % 7 ? pw : '',
+      i & 1 ? final : pw
+    );
+  }
+
+  const encoded =
+    to64((final[0] << 16) | (final[6] << 8) | final[12], 4) +
+    to64((final[1] << 16) | (final[7] << 8) | final[13], 4) +
+    to64((final[2] << 16) | (final[8] << 8) | final[14], 4) +
+    to64((final[3] << 16) | (final[9] << 8) | final[15], 4) +
+    to64((final[4] << 16) | (final[10] << 8) | final[5], 4) +
+    to64(final[11], 2);
+
+  return `${APR1_MAGIC}${salt}$${encoded}`;
+}
+
+/**
+ * Random 8-character salt
+ */
+function generateSalt() {
+  return Array.from(crypto.randomBytes(8), byte => ITOA64[byte & 0x3f]).join('');
+}
+
+/**
+ * Parse htpasswd file content
+ * @returns {object[]} [{ username, hash }] in file order
+ */
+function parseHtpasswd(content) {
+  return content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && line.includes(':'))
+    .map(line => {
+      const index = line.indexOf(':');
+      return { username: line.slice(0, index), hash: line.slice(index + 1) };
+    });
+}
+
+/**
+ * Build htpasswd file content
+ * @param {object[]} entries - [{ username, hash }]
+ */
+function formatHtpasswd(entries) {
+  return entries.map(entry => `${entry.username}:${entry.hash}`).join('\n') + (entries.length > 0 ? '\n' : '');
+}
+
+/**
+ * Check a username can be stored in an htpasswd file
+ * @returns {true|string} true, or a message describing the problem
+ */
+function validateUsername(username) {
+  if (username.length === 0) return 'Username cannot be empty';
+  if (/[:\s]/.test(username)) return 'Username cannot contain ":" or spaces';
+  if (username.length > 255) return 'Username must be 255 characters or fewer';
+  return true;
+}
+
+module.exports = {
+  hashPassword,
+  parseHtpasswd,
+  formatHtpasswd,
+  validateUsername
+};
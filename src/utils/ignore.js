@@ -0,0 +1,152 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+/**
+ * Ignore rules for folder uploads, in gitignore syntax
+ *
+ * Rules come from .fileshareignore files (and .gitignore files when asked)
+ * anywhere in the folder, each applying to its own directory and below,
+ * followed by --exclude and --include patterns. As in git, the last
+ * matching rule wins and a "!" rule re-includes a path, but nothing inside
+ * an excluded folder can be re-included.
+ */
+
+// Per-folder ignore file read by every folder upload
+const IGNORE_FILENAME = '.fileshareignore';
+
+// OS clutter and version control data, excluded unless re-included
+const DEFAULT_RULES = ['.DS_Store', 'Thumbs.db', 'desktop.ini', '.git/'];
+
+/**
+ * Parse one gitignore-style line into a rule (null for blanks and comments)
+ */
+function parseRule(line, negatedByDefault = false) {
+  let pattern = line.replace(/\r$/, '');
+
+  // Trailing spaces are ignored unless escaped
+  pattern = pattern.replace(/(?<!\\)\s+$/, '');
+
+  if (!pattern || pattern.startsWith('#')) {
+    return null;
+  }
+
+  let negated = negatedByDefault;
+  if (pattern.startsWith('!')) {
+    negated = !negated;
+    pattern = pattern.slice(1);
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1);
+  }
+
+  const directoryOnly = pattern.endsWith('/');
+  pattern = pattern.replace(/\/+$/, '');
+
+  // A slash anywhere but the end ties the pattern to the rule's directory
+  const anchored = pattern.includes('/');
+  pattern = pattern.replace(/^\//, '');
+
+  if (!pattern) {
+    return null;
+  }
+
+  return { pattern, negated, directoryOnly, anchored };
+}
+
+/**
+ * Check a rule against a path relative to the rule's directory
+ */
+function matchesRule(rule, relativePath, isDirectory) {
+  if (rule.directoryOnly && !isDirectory) {
+    return false;
+  }
+
+  const subject = rule.anchored ? relativePath : path.posix.basename(relativePath);
+  return minimatch(subject, rule.pattern, { dot: true });
+}
+
+/**
+ * Rules listed in an ignore file (empty when the file does not exist)
+ */
+function readRules(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .map(line => parseRule(line))
+    .filter(Boolean);
+}
+
+/**
+ * Build the ignore check for a folder upload
+ * @param {string} rootPath - Local folder being uploaded
+ * @param {object} options - Ignore options
+ * @param {boolean} options.gitignore - Also read .gitignore files
+ * @param {string[]} options.exclude - Extra patterns to exclude
+ * @param {string[]} options.include - Patterns to upload even when a rule excludes them
+ * @returns {function} (relativePath, isDirectory) => true when the path is excluded
+ */
+function createIgnoreFilter(rootPath, options = {}) {
+  const filenames = options.gitignore ? ['.gitignore', IGNORE_FILENAME] : [IGNORE_FILENAME];
+  const rulesByDir = new Map();
+
+  const getRules = (dir) => {
+    if (!rulesByDir.has(dir)) {
+      const dirPath = path.join(rootPath, ...dir.split('/').filter(Boolean));
+      rulesByDir.set(dir, filenames.flatMap(name => readRules(path.join(dirPath, name))));
+    }
+    return rulesByDir.get(dir);
+  };
+
+  const defaults = DEFAULT_RULES.map(line => parseRule(line));
+  const excludes = (options.exclude || []).map(line => parseRule(line)).filter(Boolean);
+  const includes = (options.include || []).map(line => parseRule(line, true)).filter(Boolean);
+
+  return (relativePath, isDirectory) => {
+    const segments = relativePath.split('/');
+    let ignored = false;
+
+    const apply = (rules, subject) => {
+      for (const rule of rules) {
+        if (matchesRule(rule, subject, isDirectory)) {
+          ignored = !rule.negated;
+        }
+      }
+    };
+
+    apply(defaults, relativePath);
+
+    // Ignore files from the top folder down to the path's own folder
+    for (let depth = 0; depth < segments.length; depth++) {
+      apply(getRules(segments.slice(0, depth).join('/')), segments.slice(depth).join('/'));
+    }
+
+    apply(excludes, relativePath);
+    apply(includes, relativePath);
+
+    return ignored;
+  };
+}
+
+module.exports = {
+  createIgnoreFilter,
+  IGNORE_FILENAME
+};
@@ -0,0 +1,141 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const path = require('path');
+const config = require('./config');
+
+// Hidden folder inside SERVER_DIRECTORY holding deleted items (see api/trash)
+const TRASH_DIR = '.trash';
+
+// Extensions kept together when numbering duplicate names
+const COMPOUND_EXTENSIONS = ['.tar.gz', '.tar.bz2', '.tar.xz', '.tar.zst'];
+
+/**
+ * Normalize a remote path relative to the server directory
+ * Strips leading/trailing slashes and rejects segments that would
+ * escape the server directory (e.g. "..") or reach into the trash
+ * @param {string} relativePath - Path relative to SERVER_DIRECTORY
+ * @returns {string} Normalized POSIX path ('' for the top level)
+ */
+function normalizeRemotePath(relativePath) {
+  if (!relativePath) return '';
+
+  const segments = relativePath
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(segment => segment.length > 0 && segment !== '.');
+
+  if (segments.includes('..')) {
+    throw new Error(`Remote path must stay inside the server directory: ${relativePath}`);
+  }
+
+  if (segments[0] === TRASH_DIR) {
+    throw new Error(`"${TRASH_DIR}" is reserved for deleted items, use "fileshare trash" instead: ${relativePath}`);
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Get absolute remote path inside SERVER_DIRECTORY
+ * @param {...string} segments - Path segments relative to SERVER_DIRECTORY
+ */
+function getRemotePath(...segments) {
+  const relativePath = normalizeRemotePath(segments.filter(Boolean).join('/'));
+  return path.posix.join(config.getConfig('SERVER_DIRECTORY'), relativePath);
+}
+
+/**
+ * Get the configured public address of the server directory (no trailing slash)
+ * @returns {string|null} The address, or null when it has not been set up
+ */
+function getPublicBaseUrl() {
+  const baseUrl = config.getConfig('PUBLIC_BASE_URL');
+  return baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Get public URL for a path relative to SERVER_DIRECTORY
+ * Each segment is percent-encoded, so names with spaces, "#", "?" or
+ * unicode characters produce working links
+ * @param {...string} segments - Path segments relative to SERVER_DIRECTORY
+ */
+function getPublicUrl(...segments) {
+  const relativePath = normalizeRemotePath(segments.filter(Boolean).join('/'));
+  const encodedPath = relativePath
+    .split('/')
+    .map(segment => encodeURIComponent(segment))
+    .join('/');
+
+  return `${getPublicBaseUrl()}/${encodedPath}`;
+}
+
+/**
+ * Check a public base URL entered by the user
+ * @returns {true|string} true, or a message describing the problem
+ */
+function validatePublicBaseUrl(input) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch (error) {
+    return 'Enter a full URL, e.g. https://files.example.com';
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return 'URL must start with https:// or http://';
+  }
+
+  if (url.search || url.hash) {
+    return 'URL cannot contain a query string or fragment';
+  }
+
+  return true;
+}
+
+/**
+ * Add a copy number to a name, keeping its extension
+ * e.g. "report.pdf" -> "report (2).pdf", "backup.tar.gz" -> "backup (2).tar.gz"
+ * @param {string} name - File or folder name
+ * @param {number} number - Copy number
+ * @param {boolean} isDirectory - Folders never treat a dot as an extension
+ */
+function getNumberedName(name, number, isDirectory = false) {
+  if (isDirectory) {
+    return `${name} (${number})`;
+  }
+
+  // Encrypted uploads are numbered before their original extension
+  if (name.toLowerCase().endsWith('.enc') && name.length > '.enc'.length) {
+    return `${getNumberedName(name.slice(0, -'.enc'.length), number)}${name.slice(-'.enc'.length)}`;
+  }
+
+  const compound = COMPOUND_EXTENSIONS.find(ext => name.toLowerCase().endsWith(ext) && name.length > ext.length);
+  const ext = compound ? name.slice(-compound.length) : path.posix.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+
+  return `${base} (${number})${ext}`;
+}
+
+module.exports = {
+  normalizeRemotePath,
+  getNumberedName,
+  getRemotePath,
+  getPublicUrl,
+  getPublicBaseUrl,
+  validatePublicBaseUrl,
+  TRASH_DIR
+};
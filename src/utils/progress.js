@@ -0,0 +1,82 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Throughput is averaged over this window so the ETA doesn't jump around
+const RATE_WINDOW_MS = 5000;
+
+// Minimum time between progress redraws
+const REDRAW_INTERVAL_MS = 100;
+
+/**
+ * Track throughput and estimated time remaining for a transfer
+ * @param {number} totalBytes - Total bytes to transfer
+ * @param {number} startBytes - Bytes already transferred (e.g. resumed uploads)
+ */
+function createTransferStats(totalBytes, startBytes = 0) {
+  const samples = [{ time: Date.now(), bytes: startBytes }];
+  let lastRedraw = 0;
+
+  return {
+    /**
+     * Record the total number of bytes transferred so far
+     */
+    update(bytes) {
+      const now = Date.now();
+      samples.push({ time: now, bytes });
+
+      // Keep one sample older than the window as the baseline
+      while (samples.length > 2 && now - samples[1].time > RATE_WINDOW_MS) {
+        samples.shift();
+      }
+    },
+
+    /**
+     * Current throughput in bytes per second
+     */
+    getRate() {
+      const first = samples[0];
+      const last = samples[samples.length - 1];
+      const seconds = (last.time - first.time) / 1000;
+      return seconds > 0 ? (last.bytes - first.bytes) / seconds : 0;
+    },
+
+    /**
+     * Estimated seconds remaining (null until a rate is known)
+     */
+    getEta() {
+      const rate = this.getRate();
+      const remaining = totalBytes - samples[samples.length - 1].bytes;
+      return rate > 0 ? remaining / rate : null;
+    },
+
+    /**
+     * Whether enough time has passed to redraw progress output
+     * @param {boolean} force - Always redraw (e.g. on completion)
+     */
+    shouldRedraw(force = false) {
+      const now = Date.now();
+      if (force || now - lastRedraw >= REDRAW_INTERVAL_MS) {
+        lastRedraw = now;
+        return true;
+      }
+      return false;
+    }
+  };
+}
+
+module.exports = {
+  createTransferStats
+};
@@ -0,0 +1,49 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Run async tasks with at most `concurrency` running at once
+ * A failing task never stops the others; every outcome is reported in
+ * the same shape as Promise.allSettled, in the original task order.
+ * @param {function[]} tasks - Functions returning promises
+ * @param {number} concurrency - Maximum tasks running at once
+ * @returns {Promise<object[]>} [{ status: 'fulfilled', value } | { status: 'rejected', reason }]
+ */
+async function runTasks(tasks, concurrency = 1) {
+  const results = new Array(tasks.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < tasks.length) {
+      const index = nextIndex++;
+
+      try {
+        results[index] = { status: 'fulfilled', value: await tasks[index]() };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, tasks.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = {
+  runTasks
+};
@@ -0,0 +1,129 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+// Private share links, mapping each random token to the item it holds
+const SHARES_PATH = path.join(config.CONFIG_DIR, 'shares.json');
+
+// Folder inside SERVER_DIRECTORY that holds one token folder per private upload
+const SHARES_DIR = 's';
+
+/**
+ * Load all recorded shares
+ */
+function loadShares() {
+  if (!fs.existsSync(SHARES_PATH)) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(SHARES_PATH, 'utf8'));
+  } catch (error) {
+    // The only local record of which private link holds which item, so never
+    // treat it as empty
+    const corrupt = new Error(`Cannot read private link records in ${SHARES_PATH} (${error.message}). Repair or restore the file from a backup.`);
+    corrupt.code = 'ESHARES';
+    throw corrupt;
+  }
+}
+
+/**
+ * Write share records back to disk
+ * Written to a temporary file and renamed into place, so an interrupted
+ * write never leaves a truncated file behind
+ */
+function saveShares(shares) {
+  fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+
+  const tempPath = `${SHARES_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(shares, null, 2) + '\n');
+  fs.renameSync(tempPath, SHARES_PATH);
+}
+
+/**
+ * Check whether a record belongs to the configured server
+ */
+function isCurrentServer(record) {
+  return record.serverHost === config.getConfig('SERVER_HOST') &&
+    record.serverDirectory === config.getConfig('SERVER_DIRECTORY');
+}
+
+/**
+ * Random 128-bit token for a private share folder
+ */
+function generateToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Path of a shared item relative to SERVER_DIRECTORY
+ */
+function getSharePath(share) {
+  return `${SHARES_DIR}/${share.token}/${share.name}`;
+}
+
+/**
+ * Record a private share
+ * @param {object} share - Share details
+ * @param {string} share.token - Token folder name
+ * @param {string} share.name - Item name inside the token folder
+ * @param {string} share.type - 'file' or 'directory'
+ */
+function recordShare(share) {
+  const shares = loadShares().filter(record => record.token !== share.token);
+
+  shares.push({
+    ...share,
+    serverHost: config.getConfig('SERVER_HOST'),
+    serverDirectory: config.getConfig('SERVER_DIRECTORY'),
+    createdAt: new Date().toISOString()
+  });
+
+  saveShares(shares);
+}
+
+/**
+ * Forget a share (after its token folder is deleted)
+ */
+function removeShare(token) {
+  const shares = loadShares();
+  const remaining = shares.filter(record => record.token !== token);
+
+  if (remaining.length !== shares.length) {
+    saveShares(remaining);
+  }
+}
+
+/**
+ * Get shares recorded for the configured server
+ */
+function getShares() {
+  return loadShares().filter(isCurrentServer);
+}
+
+module.exports = {
+  generateToken,
+  getSharePath,
+  recordShare,
+  removeShare,
+  getShares,
+  SHARES_DIR,
+  SHARES_PATH
+};
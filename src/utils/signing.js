@@ -0,0 +1,79 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const crypto = require('crypto');
+const { getPublicUrl } = require('./paths');
+
+/**
+ * Signed download links for nginx's secure_link module
+ *
+ * nginx checks:  secure_link_md5 "$secure_link_expires$uri <secret>";
+ * so the signature is the base64url MD5 of "<expires><uri> <secret>",
+ * where <uri> is the decoded request path.
+ */
+
+/**
+ * Random secret for SECURE_LINK_SECRET
+ */
+function generateSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Signature nginx expects in the md5 query argument
+ * @param {string} uri - Decoded request path (e.g. "/protected/report.pdf")
+ * @param {number} expires - Unix time in seconds
+ * @param {string} secret - Shared secret from the nginx configuration
+ */
+function signUri(uri, expires, secret) {
+  return crypto
+    .createHash('md5')
+    .update(`${expires}${uri} ${secret}`)
+    .digest('base64url');
+}
+
+/**
+ * Public URL for a path with md5 and expires arguments appended
+ * @param {string} relativePath - Path relative to SERVER_DIRECTORY
+ * @param {Date} expiresAt - When the link stops working
+ * @param {string} secret - Shared secret from the nginx configuration
+ */
+function getSignedUrl(relativePath, expiresAt, secret) {
+  const url = new URL(getPublicUrl(relativePath));
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+
+  url.searchParams.set('md5', signUri(decodeURIComponent(url.pathname), expires, secret));
+  url.searchParams.set('expires', String(expires));
+
+  return url.toString();
+}
+
+/**
+ * Check a secret can be placed in the nginx configuration unquoted
+ * @returns {true|string} true, or a message describing the problem
+ */
+function validateSecret(secret) {
+  if (secret.length < 16) return 'Secret must be at least 16 characters';
+  if (!/^[A-Za-z0-9._~-]+$/.test(secret)) return 'Secret may only contain letters, numbers, ".", "_", "~" and "-"';
+  return true;
+}
+
+module.exports = {
+  generateSecret,
+  signUri,
+  getSignedUrl,
+  validateSecret
+};
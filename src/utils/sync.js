@@ -0,0 +1,131 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const { runTasks } = require('./scheduler');
+
+// Checksums compared at once in --checksum mode
+const COMPARE_CONCURRENCY = 4;
+
+/**
+ * Work out what a one-way sync has to do to make the remote tree match the
+ * local one
+ *
+ * Files are unchanged when their size and modification time (to the
+ * second) match, or with compareContent, when their size and contents match.
+ * @param {object} localTree - Tree from walkLocalTree
+ * @param {object} remoteTree - Tree from getRemoteTree (empty when the folder is new)
+ * @param {object} options - Plan options
+ * @param {function} options.compareContent - async (localFile) => true when the remote copy has the same contents
+ * @param {function} options.isProtected - (relativePath, isDirectory) => true for remote-only paths to keep (e.g. ignored locally)
+ * @returns {Promise<object>} { uploads: [{ ...localFile, reason: 'new'|'changed' }],
+ *   deletions: [{ relativePath, type, size }], unchanged: number }
+ */
+async function planSync(localTree, remoteTree, options = {}) {
+  const remoteFiles = new Map(remoteTree.files.map(file => [file.relativePath, file]));
+  const localFiles = new Set(localTree.files.map(file => file.relativePath));
+  const localDirectories = new Set(localTree.directories);
+  const isProtected = options.isProtected || (() => false);
+
+  // New files, and files whose size alone shows they changed
+  const uploads = [];
+  const candidates = [];
+
+  localTree.files.forEach((file) => {
+    const remote = remoteFiles.get(file.relativePath);
+
+    if (!remote) {
+      uploads.push({ ...file, reason: 'new' });
+    } else if (remote.size !== file.size) {
+      uploads.push({ ...file, reason: 'changed' });
+    } else {
+      candidates.push({ file, remote });
+    }
+  });
+
+  // Same size: decide by contents or by modification time
+  let unchanged = 0;
+
+  if (options.compareContent) {
+    const outcomes = await runTasks(
+      candidates.map(({ file }) => () => options.compareContent(file)),
+      COMPARE_CONCURRENCY
+    );
+
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        throw outcome.reason;
+      }
+      if (outcome.value) {
+        unchanged++;
+      } else {
+        uploads.push({ ...candidates[index].file, reason: 'changed' });
+      }
+    });
+  } else {
+    candidates.forEach(({ file, remote }) => {
+      if (Math.floor(file.mtimeMs / 1000) === Math.floor(remote.modifyTime / 1000)) {
+        unchanged++;
+      } else {
+        uploads.push({ ...file, reason: 'changed' });
+      }
+    });
+  }
+
+  uploads.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+  // Remote-only folders go as a whole; files are only listed outside them
+  const deletions = [];
+  const deletedDirectories = [];
+  const isInside = (relativePath, directory) => relativePath.startsWith(`${directory}/`);
+
+  remoteTree.directories.forEach((directory) => {
+    if (localDirectories.has(directory) || isProtected(directory, true) ||
+        deletedDirectories.some(deleted => isInside(directory, deleted))) {
+      return;
+    }
+
+    const files = remoteTree.files.filter(file => isInside(file.relativePath, directory));
+
+    // Keep the folder when something inside it is protected
+    if (files.some(file => isProtected(file.relativePath, false))) {
+      return;
+    }
+
+    deletedDirectories.push(directory);
+    deletions.push({
+      relativePath: directory,
+      type: 'directory',
+      size: files.reduce((sum, file) => sum + file.size, 0)
+    });
+  });
+
+  remoteTree.files.forEach((file) => {
+    if (localFiles.has(file.relativePath) || isProtected(file.relativePath, false) ||
+        deletedDirectories.some(deleted => isInside(file.relativePath, deleted))) {
+      return;
+    }
+
+    deletions.push({ relativePath: file.relativePath, type: 'file', size: file.size });
+  });
+
+  deletions.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+
+  return { uploads, deletions, unchanged };
+}
+
+module.exports = {
+  planSync
+};
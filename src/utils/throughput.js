@@ -0,0 +1,79 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Recent upload speed per server, used to estimate how long an upload will take
+const THROUGHPUT_PATH = path.join(config.CONFIG_DIR, 'throughput.json');
+
+// Uploads smaller than this are dominated by connection setup, not bandwidth
+const MIN_SAMPLE_BYTES = 1024 * 1024;
+
+// Weight of the newest measurement in the running average
+const SMOOTHING = 0.5;
+
+/**
+ * Load recorded speeds (bytes per second by server host)
+ */
+function loadThroughput() {
+  if (!fs.existsSync(THROUGHPUT_PATH)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(THROUGHPUT_PATH, 'utf8'));
+  } catch (error) {
+    return {}; // File cut short by an interrupted write
+  }
+}
+
+/**
+ * Fold a finished upload into the configured server's average speed
+ * @param {number} bytes - Bytes sent
+ * @param {number} durationMs - How long the upload took
+ */
+function recordThroughput(bytes, durationMs) {
+  if (bytes < MIN_SAMPLE_BYTES || durationMs <= 0) {
+    return;
+  }
+
+  const serverHost = config.getConfig('SERVER_HOST');
+  const speeds = loadThroughput();
+  const rate = bytes / (durationMs / 1000);
+
+  speeds[serverHost] = speeds[serverHost]
+    ? speeds[serverHost] * (1 - SMOOTHING) + rate * SMOOTHING
+    : rate;
+
+  fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(THROUGHPUT_PATH, JSON.stringify(speeds, null, 2) + '\n');
+}
+
+/**
+ * Average upload speed to the configured server in bytes per second
+ * @returns {number|null} null until an upload has been measured
+ */
+function getThroughput() {
+  return loadThroughput()[config.getConfig('SERVER_HOST')] || null;
+}
+
+module.exports = {
+  recordThroughput,
+  getThroughput,
+  THROUGHPUT_PATH
+};
@@ -0,0 +1,108 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Unfinished uploads, kept so 'fileshare upload --resume' can pick them up
+const TRANSFERS_PATH = path.join(config.CONFIG_DIR, 'transfers.json');
+
+/**
+ * Load all recorded unfinished transfers
+ */
+function loadTransfers() {
+  if (!fs.existsSync(TRANSFERS_PATH)) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(TRANSFERS_PATH, 'utf8'));
+  } catch (error) {
+    return []; // File cut short by an interrupted write
+  }
+}
+
+/**
+ * Write transfer records back to disk
+ */
+function saveTransfers(transfers) {
+  fs.mkdirSync(config.CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(TRANSFERS_PATH, JSON.stringify(transfers, null, 2) + '\n');
+}
+
+/**
+ * Check whether a record describes the given destination
+ */
+function isSameTransfer(record, serverHost, remotePath) {
+  return record.serverHost === serverHost && record.remotePath === remotePath;
+}
+
+/**
+ * Record (or refresh) an unfinished transfer
+ * @param {object} transfer - Transfer details
+ * @param {string} transfer.localPath - Absolute local file path
+ * @param {string} transfer.remotePath - Final remote path
+ * @param {string} transfer.partialPath - Temporary remote path while uploading
+ * @param {string} transfer.remoteName - Remote filename
+ * @param {string} transfer.remoteSubdir - Destination folder relative to SERVER_DIRECTORY
+ * @param {string} transfer.type - 'directory' for folder uploads (files leave it out)
+ * @param {number} transfer.size - Local file or folder size in bytes
+ * @param {string} transfer.expiresAt - ISO expiry time to apply once finished (or null)
+ *   Folder records also keep replace, checksums and ignore to upload the same way again
+ */
+function recordTransfer(transfer) {
+  const serverHost = config.getConfig('SERVER_HOST');
+  const transfers = loadTransfers()
+    .filter(record => !isSameTransfer(record, serverHost, transfer.remotePath));
+
+  transfers.push({
+    ...transfer,
+    serverHost,
+    startedAt: new Date().toISOString()
+  });
+
+  saveTransfers(transfers);
+}
+
+/**
+ * Remove a finished transfer
+ * @param {string} remotePath - Final remote path of the transfer
+ */
+function removeTransfer(remotePath) {
+  const serverHost = config.getConfig('SERVER_HOST');
+  const transfers = loadTransfers();
+  const remaining = transfers.filter(record => !isSameTransfer(record, serverHost, remotePath));
+
+  if (remaining.length !== transfers.length) {
+    saveTransfers(remaining);
+  }
+}
+
+/**
+ * Get unfinished transfers for the configured server
+ */
+function getPendingTransfers() {
+  const serverHost = config.getConfig('SERVER_HOST');
+  return loadTransfers().filter(record => record.serverHost === serverHost);
+}
+
+module.exports = {
+  recordTransfer,
+  removeTransfer,
+  getPendingTransfers,
+  TRANSFERS_PATH
+};
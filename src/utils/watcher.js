@@ -0,0 +1,90 @@
+/*
+ * Copyright 2025 Negative Space Software
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Track files seen by repeated folder scans and report the ones that have
+ * stopped changing and still need uploading
+ *
+ * A file is ready once its size and modification time have stayed the same
+ * for settleMs, so files that are still being written are left alone.
+ * @param {number} settleMs - How long a file must stay unchanged
+ * @returns {object} { update(files, now), markUploaded(file), retryLater(file, now) }
+ */
+function createChangeTracker(settleMs) {
+  // Files waiting to settle: relativePath -> { size, mtimeMs, since }
+  const pending = new Map();
+
+  // Versions already on the server: relativePath -> "size:mtime seconds"
+  const uploaded = new Map();
+
+  // Remote modification times only keep whole seconds
+  const getVersion = (size, mtimeMs) => `${size}:${Math.floor(mtimeMs / 1000)}`;
+
+  return {
+    /**
+     * Record what a scan found
+     * @param {object[]} files - Files from walkLocalTree
+     * @param {number} now - Scan time in milliseconds
+     * @returns {object[]} Files that are ready to upload
+     */
+    update(files, now = Date.now()) {
+      const ready = [];
+      const present = new Set();
+
+      files.forEach((file) => {
+        present.add(file.relativePath);
+
+        if (uploaded.get(file.relativePath) === getVersion(file.size, file.mtimeMs)) {
+          pending.delete(file.relativePath);
+          return;
+        }
+
+        const previous = pending.get(file.relativePath);
+
+        if (!previous || previous.size !== file.size || previous.mtimeMs !== file.mtimeMs) {
+          pending.set(file.relativePath, { size: file.size, mtimeMs: file.mtimeMs, since: now });
+        } else if (now - previous.since >= settleMs) {
+          ready.push(file);
+        }
+      });
+
+      // Forget files removed before they settled
+      [...pending.keys()].filter(key => !present.has(key)).forEach(key => pending.delete(key));
+
+      return ready;
+    },
+
+    /**
+     * Remember a version that is on the server (uploaded, or found there)
+     * @param {object} file - { relativePath, size, mtimeMs }
+     */
+    markUploaded(file) {
+      uploaded.set(file.relativePath, getVersion(file.size, file.mtimeMs));
+      pending.delete(file.relativePath);
+    },
+
+    /**
+     * Wait another settle period before trying a failed upload again
+     */
+    retryLater(file, now = Date.now()) {
+      pending.set(file.relativePath, { size: file.size, mtimeMs: file.mtimeMs, since: now });
+    }
+  };
+}
+
+module.exports = {
+  createChangeTracker
+};